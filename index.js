@@ -1,863 +1,23 @@
 const functions = require("firebase-functions");
 const logger = require("firebase-functions/logger");
 const admin = require("firebase-admin");
-const OpenAI = require("openai");
-const { TextToSpeechClient } = require('@google-cloud/text-to-speech');
 const cors = require('cors')({ origin: true });
-const vocabulary = require('./data/vocabulary.json');
-const grammar = require('./data/grammar.json');
 
-admin.initializeApp();
-const db = admin.firestore();
-
-// HARDCODED OWNER ID
-const OWNER_TELEGRAM_ID = 102436862;
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-
-// Initialize OpenRouter (OpenAI-compatible API)
-const openai = new OpenAI({
-  baseURL: "https://openrouter.ai/api/v1",
-  apiKey: OPENROUTER_API_KEY,
-  defaultHeaders: {
-    "HTTP-Referer": "https://linguamentor-d432c.web.app",
-    "X-Title": "LinguaMentor"
-  }
-});
-
-// Model to use via OpenRouter (gemini-2.0-flash via Google)
-const AI_MODEL = "google/gemini-2.0-flash-001";
-
-exports.updateProfile = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const userId = requestData.userId;
-    const profile = requestData.profile; // { level, goal, style }
-
-    if (parseInt(userId) !== OWNER_TELEGRAM_ID && OWNER_TELEGRAM_ID !== 0) {
-      response.status(403).json({ error: "Unauthorized" });
-      return;
-    }
-
-    try {
-      await db.collection('users').doc(String(userId)).set(profile, { merge: true });
-      response.json({ success: true });
-    } catch (error) {
-      logger.error("Error updating profile", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.chat = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const { userId, message: userMessage, mode, activeLesson: clientActiveLesson } = requestData;
-    const language = requestData.language || 'en'; // 'en' or 'it'
-    const validLanguages = ['en', 'it'];
-    if (!validLanguages.includes(language)) {
-      response.status(400).json({ error: "Invalid language" });
-      return;
-    }
-
-    if (parseInt(userId) !== OWNER_TELEGRAM_ID && OWNER_TELEGRAM_ID !== 0) {
-      logger.warn(`Unauthorized access attempt from: ${userId}`);
-      response.status(403).json({ error: "Unauthorized" });
-      return;
-    }
-
-    try {
-      const userRef = db.collection('users').doc(String(userId));
-      const userDoc = await userRef.get();
-
-      // Update Active Lesson if changed (only in lesson mode)
-      if (mode === 'lesson' && clientActiveLesson) {
-        await userRef.set({ activeLesson: clientActiveLesson }, { merge: true });
-      }
-
-      const userData = userDoc.exists ? userDoc.data() : {
-        level: 'Intermediate',
-        goal: 'General English',
-        style: 'Friendly tutor',
-        activeLesson: 'lesson1'
-      };
-
-      const activeLesson = clientActiveLesson || userData.activeLesson || 'lesson1';
-
-      // --- SYSTEM PROMPT GENERATION ---
-      let systemInstructionText = "";
-
-      const langName = language === 'it' ? 'Italian' : 'English';
-      const tutorRole = language === 'it' ? 'Italian Tutor' : 'English Tutor';
-
-      const baseProfile = `Student Profile:
-- Level: ${userData.level} (${langName})
-- Goal: ${userData.goal}
-- Preferred Style: ${userData.style}
-`;
-
-      if (mode === 'conversation') {
-        systemInstructionText = `You are an ${tutorRole}. Style: ${userData.style}.
-${baseProfile}
-Task: Chat naturally in ${langName}.
-Rules:
-1. Speak ${langName}.
-2. If the user asks clearly "Translate this" or "What does X mean in Russian?", you MUST provide the translation/explanation in their native language, then switch back to ${langName}.
-3. Correct only significant mistakes that hinder understanding.
-4. Keep the flow natural.`;
-
-      } else if (mode === 'lesson') {
-        // Lesson Prompts
-        const lessonPrompts = {
-          'lesson1': "TOPIC: Introduction & Basics. Teach how to introduce oneself.",
-          'lesson2': "TOPIC: Present Tense. Habits, facts, daily routines.",
-          'lesson3': "TOPIC: At the Restaurant. Ordering food, asking for the bill.",
-          'lesson4': "TOPIC: Travel. Asking for directions, checking in at a hotel."
-        };
-        systemInstructionText = `You are teaching a structured ${langName} lesson.
-${baseProfile}
-Current Lesson: ${lessonPrompts[activeLesson] || "General Lesson"}
-Rules:
-1. Explain ONE concept or ask ONE question at a time.
-2. No long lectures. Interactive step-by-step.
-3. Give examples in ${langName} (with translation if beginner).
-4. Correct every mistake strictly related to the topic.`;
-
-      } else if (mode === 'fixme') {
-        systemInstructionText = `You remain in 'Fix Me' mode.
-${baseProfile}
-Task: The user will send text (likely trying to write in ${langName}). You must:
-1. Correct the text.
-2. Explain the main error (briefly).
-3. Suggest a more natural native alternative.
-Output format:
-"✅ Corrected: ..."
-"💡 Explanation: ..."
-"✨ Better way: ..."`;
-
-      } else if (mode === 'vocab') {
-        systemInstructionText = `You are a Vocabulary Helper for ${langName}.
-${baseProfile}
-Task: The user sends a word or phrase.
-1. Define it.
-2. Give 3 examples in context.
-3. Show collocations.`;
-
-      } else if (mode === 'grammar') {
-        systemInstructionText = `You are a Grammar Coach for ${langName}.
-${baseProfile}
-Task: The user will ask a topic or send a sentence.
-1. Explain the rule simply (suited for ${userData.level}).
-2. Give 2 examples.
-3. Ask the user to create a sentence using this rule to check understanding.`;
-      }
-
-      // Load History
-      const collectionPath = language === 'en'
-        ? `dialogs/${userId}/messages`
-        : `dialogs/${userId}/messages_${language}`;
-
-      const historySnapshot = await db.collection(collectionPath)
-        .orderBy('createdAt', 'desc')
-        .limit(20)
-        .get();
-
-      const distinctHistory = [];
-      historySnapshot.forEach(doc => {
-        distinctHistory.unshift(doc.data());
-      });
-
-      // Convert to OpenAI format
-      const messages = [
-        { role: 'system', content: systemInstructionText },
-        ...distinctHistory.map(msg => ({
-          role: msg.role === 'assistant' ? 'assistant' : 'user',
-          content: msg.text
-        })),
-        { role: 'user', content: userMessage }
-      ];
-
-      const completion = await openai.chat.completions.create({
-        model: AI_MODEL,
-        messages: messages,
-      });
-
-      const aiResponse = completion.choices[0].message.content;
-
-      // Save History
-      await db.collection(collectionPath).add({
-        role: 'user',
-        text: userMessage,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-
-      await db.collection(collectionPath).add({
-        role: 'assistant',
-        text: aiResponse,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-
-      response.json({ response: aiResponse });
-    } catch (error) {
-      logger.error("Error processing chat request", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.summarizeLesson = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const userId = requestData.userId;
-
-    if (parseInt(userId) !== OWNER_TELEGRAM_ID && OWNER_TELEGRAM_ID !== 0) {
-      response.status(403).json({ error: "Unauthorized" });
-      return;
-    }
-
-    try {
-      const historySnapshot = await db.collection(`dialogs/${userId}/messages`)
-        .orderBy('createdAt', 'desc')
-        .limit(50)
-        .get();
-
-      const distinctHistory = [];
-      historySnapshot.forEach(doc => {
-        distinctHistory.unshift(doc.data());
-      });
-
-      if (distinctHistory.length === 0) {
-        response.json({ message: "No messages to summarize" });
-        return;
-      }
-
-      const chatText = distinctHistory.map(msg =>
-        `${msg.role === 'user' ? 'Student' : 'Tutor'}: ${msg.text}`
-      ).join('\n');
-
-      const prompt = `Analyze the conversation and output JSON only.
-History:
-${chatText}
-
-Format: { "topic": "...", "mistakes": [...], "newVocabulary": [...], "recommendations": "..." }`;
-
-      const completion = await openai.chat.completions.create({
-        model: AI_MODEL,
-        messages: [{ role: 'user', content: prompt }],
-        response_format: { type: "json_object" }
-      });
-
-      const summaryJson = JSON.parse(completion.choices[0].message.content);
-
-      await db.collection(`lessons/${userId}/records`).add({
-        ...summaryJson,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-
-      response.json({ success: true, summary: summaryJson });
-
-    } catch (error) {
-      logger.error("Error generating summary", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.getChatHistory = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const userId = requestData.userId;
-    const language = requestData.language || 'en';
-
-    if (parseInt(userId) !== OWNER_TELEGRAM_ID && OWNER_TELEGRAM_ID !== 0) {
-      response.status(403).json({ error: "Unauthorized" });
-      return;
-    }
-
-    try {
-      const collectionPath = language === 'en'
-        ? `dialogs/${userId}/messages`
-        : `dialogs/${userId}/messages_${language}`;
-
-      const historySnapshot = await db.collection(collectionPath)
-        .orderBy('createdAt', 'desc')
-        .limit(50)
-        .get();
-
-      const messages = [];
-      historySnapshot.forEach(doc => {
-        messages.unshift(doc.data());
-      });
-
-      response.json({ messages });
-    } catch (error) {
-      logger.error("Error fetching history", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.speak = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const text = requestData.text;
-    // 1. Read language from request
-    const language = requestData.language || 'en';
-
-    if (!text) {
-      response.status(400).json({ error: "No text provided" });
-      return;
-    }
-
-    try {
-      const client = new TextToSpeechClient({
-        keyFilename: './linguamentor-d432c-5d44333a0382.json'
-      });
-
-      // 2. STRICTLY select voice (Switch Case)
-      let voiceConfig;
-
-      switch (language) {
-        case 'it':
-          voiceConfig = {
-            languageCode: 'it-IT',
-            name: 'it-IT-Wavenet-D', // Italian Male
-            ssmlGender: 'MALE'
-          };
-          break;
-
-        case 'en':
-        default:
-          voiceConfig = {
-            languageCode: 'en-US',
-            name: 'en-US-Wavenet-D', // English Male
-            ssmlGender: 'MALE'
-          };
-      }
-
-      // 4. Logging for Debugging
-      console.log('[TTS]', {
-        lang: language,
-        voice: voiceConfig.name
-      });
-
-      // 3. Use voiceConfig in TTS request
-      const googleRequest = {
-        input: { text: text },
-        voice: voiceConfig,
-        audioConfig: {
-          audioEncoding: 'MP3',
-          speakingRate: 0.85
-        }
-      };
-
-      const [googleResponse] = await client.synthesizeSpeech(googleRequest);
-
-      // Return MP3 audio
-      response.set('Content-Type', 'audio/mpeg');
-      response.send(googleResponse.audioContent);
-
-    } catch (error) {
-      logger.error("Google TTS Error", error);
-      response.status(500).json({ error: "Google TTS Failed: " + error.message });
-    }
-  });
-});
-
-exports.translate = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const text = requestData.text;
-    const targetLang = requestData.targetLang || 'ru';
-
-    if (!text) {
-      response.status(400).json({ error: "No text provided" });
-      return;
-    }
-
-    try {
-      const prompt = `You are a professional translator. Translate the following text to ${targetLang === 'ru' ? 'Russian' : 'English'}. Preserve all markdown formatting (bold, italics, etc). Do not add any conversational filler, just the translation.
-Text:
-${text}`;
-
-      const completion = await openai.chat.completions.create({
-        model: AI_MODEL,
-        messages: [{ role: 'user', content: prompt }],
-      });
-
-      const translatedText = completion.choices[0].message.content;
-
-      response.json({ translation: translatedText });
-
-    } catch (error) {
-      logger.error("Error translating text", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.getDailyWords = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const userId = requestData.userId;
-    const language = requestData.language || 'en';
-
-    if (!userId) {
-      response.status(400).json({ error: "No user ID" });
-      return;
-    }
-
-    try {
-      // 1. Fetch User's Word History
-      const userWordsSnapshot = await db.collection(`users/${userId}/user_words_${language}`).get();
-      const userWordsMap = new Map(); // word -> data
-      const categories = {
-        new: [],
-        learning: [],
-        weak: [],
-        known: []
-      };
-
-      userWordsSnapshot.forEach(doc => {
-        const data = doc.data();
-        userWordsMap.set(data.word, data);
-        if (data.status) {
-          if (categories[data.status]) {
-            categories[data.status].push(data);
-          } else {
-            // Fallback
-            categories.learning.push(data);
-          }
-        }
-      });
-
-      // --- TOPIC MODE LOGIC ---
-      const topic = requestData.topic ? requestData.topic.toLowerCase() : null;
-      if (topic) {
-        // Filter vocabulary by topic
-        const topicWords = vocabulary.filter(w => w.tags && w.tags.includes(topic));
-
-        // Split into "New" and "Review"
-        // Refined Logic:
-        // - Exclude "Known" (status === 'known') unless we have no other choice? No, let's hide them strictly to force progress.
-        // - Exclude recently seen "Learning" words (same 20h cooldown).
-
-        const now = new Date();
-        const COOL_DOWN_HOURS = 20;
-        const isCool = (timestamp) => {
-          if (!timestamp) return true;
-          const lastSeenDate = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
-          const diffHours = (now - lastSeenDate) / (1000 * 60 * 60);
-          return diffHours > COOL_DOWN_HOURS;
-        };
+const { createAuthMiddleware } = require('./lib/auth');
+const { createServices } = require('./lib/services');
+const { createFunctions } = require('./lib/routes');
 
-        const topicNew = [];
-        const topicReview = [];
-        const topicReviewFallback = []; // Words that are "learning" but not cool yet
-        const topicKnownFallback = [];  // Words that are "known"
-
-        topicWords.forEach(w => {
-          if (userWordsMap.has(w.word)) {
-            const userData = userWordsMap.get(w.word);
-
-            if (userData.status === 'known') {
-              topicKnownFallback.push(userData);
-              return;
-            }
-
-            if (userData.status === 'learning' && !isCool(userData.last_seen)) {
-              topicReviewFallback.push(userData);
-              return;
-            }
-
-            topicReview.push(userData);
-          } else {
-            topicNew.push({ ...w, status: 'new', correct_streak: 0, wrong_count: 0 });
-          }
-        });
-
-        // Selection Strategy for Topic:
-        // Prioritize: New > Review > Fallback (Not Cool) > Fallback (Known)
-        const TARGET_COUNT = 8;
-        let selected = [];
-        const shuffle = (arr) => arr.sort(() => 0.5 - Math.random());
-
-        // 1. New words
-        selected.push(...shuffle([...topicNew]));
-
-        // 2. Review words (Quality)
-        if (selected.length < TARGET_COUNT) {
-          const needed = TARGET_COUNT - selected.length;
-          selected.push(...shuffle([...topicReview]).slice(0, needed));
-        }
-
-        // 3. Fallback: Not Cool (If user insists on playing, let them play)
-        if (selected.length < TARGET_COUNT) {
-          const needed = TARGET_COUNT - selected.length;
-          selected.push(...shuffle([...topicReviewFallback]).slice(0, needed));
-        }
-
-        // 4. Fallback: Known (Last resort)
-        if (selected.length < TARGET_COUNT) {
-          const needed = TARGET_COUNT - selected.length;
-          selected.push(...shuffle([...topicKnownFallback]).slice(0, needed));
-        }
-
-
-
-        // Slice to target count
-        selected = selected.slice(0, TARGET_COUNT);
-
-        response.json({
-          words: selected,
-          stats: {
-            streak: (await db.collection('users').doc(String(userId)).get()).data()?.streak || 0,
-            totalLearned: categories.known.length
-          }
-        });
-        return;
-      }
-      // --- END TOPIC MODE ---
-
-      // 2. Target Distribution ( Total ~10-15 words )
-      // 40% New, 30% Learning, 20% Weak, 10% Known
-      // 2. Fetch User Profile for Level-based selection (Optional but recommended)
-      const userProfileRef = await db.collection('users').doc(String(userId)).get();
-      const userProfile = userProfileRef.exists ? userProfileRef.data() : null;
-      const userLevel = userProfile?.level || 'Intermediate'; // Default to Intermediate if unknown to allow harder words
-
-      // 3. Filter Categories (Smart Repetition)
-      // Exclude "Learning" words seen in the last 20 hours (prevent same-day repetition unless pushed)
-      const now = new Date();
-      const COOL_DOWN_HOURS = 20;
-
-      const isCool = (timestamp) => {
-        if (!timestamp) return true;
-        const lastSeenDate = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
-        const diffHours = (now - lastSeenDate) / (1000 * 60 * 60);
-        return diffHours > COOL_DOWN_HOURS;
-      };
-
-      // Filter learning pool
-      const availableLearning = categories.learning.filter(w => isCool(w.last_seen));
-
-      // If we filtered out too many and have nothing left, compromise? 
-      // User complaint: "repeats". So better to show NEW words than repeats.
-      // But if we have 0 available learning, we might rely on WEAK or NEW.
-
-      // 4. Target Distribution
-      // User requested 8 words total
-      const TARGET_COUNT = 8;
-      const distribution = {
-        new: 4,       // Increased new words for "harder" feel
-        learning: 2,
-        weak: 2,
-        known: 0
-      };
-
-      let selectedWords = [];
-
-      // Helper: Shuffle array
-      const shuffle = (arr) => arr.sort(() => 0.5 - Math.random());
-
-      // A. Select Weak (Priority 1 - Always show weak words to fix mistakes)
-      const shuffledWeak = shuffle([...categories.weak]);
-      selectedWords.push(...shuffledWeak.slice(0, distribution.weak));
-
-      // B. Select Learning (Priority 2 - Only cooled down words)
-      const shuffledLearning = shuffle([...availableLearning]);
-      selectedWords.push(...shuffledLearning.slice(0, distribution.learning));
-
-      // Fill the rest with NEW words to reach TARGET_COUNT
-      const currentCount = selectedWords.length;
-      let neededNew = TARGET_COUNT - currentCount;
-      if (neededNew < 0) neededNew = 0;
-
-      // C. Select New
-      // Filter vocabulary for words NOT in userWordsMap
-      const newWordsPool = vocabulary.filter(v => !userWordsMap.has(v.word));
-
-      // OPTIONAL: Filter new words by level if we want to force "harder" words
-      // If user complained about "too simple", we should prioritize B1/B2/C1
-      let filteredNewPool = newWordsPool;
-      const advancesLevels = ['B1', 'B2', 'C1', 'C2'];
-      const hardWords = newWordsPool.filter(w => advancesLevels.includes(w.level));
-
-      if (hardWords.length >= neededNew) {
-        // We have enough hard words, use them!
-        filteredNewPool = hardWords;
-      }
-
-      const shuffledNewPool = shuffle(filteredNewPool);
-
-      const pickedNew = shuffledNewPool.slice(0, neededNew).map(v => ({
-        ...v,
-        status: 'new',
-        correct_streak: 0,
-        wrong_count: 0
-      }));
-
-      selectedWords.push(...pickedNew);
-
-      // E. Fallback: If we still don't have 8 words, fill with Known words
-      // (User preferred not to see them, but it's better than a short game)
-      if (selectedWords.length < TARGET_COUNT) {
-        const needed = TARGET_COUNT - selectedWords.length;
-        const shuffledKnown = shuffle([...categories.known]);
-
-        // Filter out any known words that might be duplicates (unlikely due to set logic but safe)
-        // Actually, selectedWords are objects, categories.known are objects. 
-        // Simple slice should be fine as we haven't added them yet.
-
-        selectedWords.push(...shuffledKnown.slice(0, needed));
-      }
-
-      // Init New Words in DB (batch write for efficiency?)
-      // We accept that "New" words are transient until interacted with, 
-      // OR we can save them as 'seen' now. Let's send them to frontend, 
-      // and frontend calls 'updateWordStatus' when answered.
-
-      response.json({
-        words: shuffle(selectedWords),
-        stats: {
-          totalKnown: categories.known.length,
-          totalLearning: categories.learning.length,
-          totalWeak: categories.weak.length
-        }
-      });
-
-    } catch (error) {
-      logger.error("Error generating daily words", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.updateWordStatus = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const { userId, word, isCorrect, language } = requestData;
-
-    if (!userId || !word) {
-      response.status(400).json({ error: "Missing parameters" });
-      return;
-    }
-
-    const lang = language || 'en';
-    const docRef = db.collection(`users/${userId}/user_words_${lang}`).doc(word);
-
-    try {
-      await db.runTransaction(async (t) => {
-        const doc = await t.get(docRef);
-        let data = doc.exists ? doc.data() : {
-          word,
-          correct_streak: 0,
-          wrong_count: 0,
-          status: 'new',
-        };
-
-        if (isCorrect) {
-          data.correct_streak = (data.correct_streak || 0) + 1;
-          if (data.correct_streak >= 3) {
-            data.status = 'known';
-          } else {
-            if (data.status === 'new' || data.status === 'weak') {
-              data.status = 'learning';
-            }
-          }
-        } else {
-          data.correct_streak = 0;
-          data.wrong_count = (data.wrong_count || 0) + 1;
-          if (data.wrong_count >= 1) { // Immediate feedback
-            data.status = 'weak';
-          } else {
-            data.status = 'learning';
-          }
-        }
-
-        data.last_seen = admin.firestore.FieldValue.serverTimestamp();
-
-        if (!doc.exists) {
-          const vocabItem = vocabulary.find(v => v.word === word);
-          if (vocabItem) {
-            data = { ...vocabItem, ...data };
-          }
-        }
-
-        t.set(docRef, data, { merge: true });
-      });
-
-      response.json({ success: true });
-    } catch (e) {
-      logger.error("Update word status failed", e);
-      response.status(500).json({ error: e.message });
-    }
-  });
-});
-
-exports.markDailyMastered = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const userId = requestData.userId;
-    const date = requestData.date || new Date().toISOString().split('T')[0];
-    const language = requestData.language || 'en';
-
-    if (!userId) {
-      response.status(400).json({ error: "No user ID" });
-      return;
-    }
-
-    try {
-      const docId = `${userId}_${language}_${date}`;
-      const docRef = db.collection('daily_words').doc(docId);
-
-      await docRef.set({
-        mastered: true,
-        masteredAt: admin.firestore.FieldValue.serverTimestamp(),
-        userId: userId,
-        date: date,
-        language
-      }, { merge: true });
-
-      response.json({ success: true });
-
-    } catch (error) {
-      logger.error("Error marking daily words as mastered", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.getWordHistory = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const userId = requestData.userId;
-    const language = requestData.language || 'en';
-
-    if (!userId) {
-      response.status(400).json({ error: "No user ID" });
-      return;
-    }
-
-    try {
-      const snapshot = await db.collection(`users/${userId}/user_words_${language}`).get();
-
-      const history = {
-        known: [],
-        learning: [],
-        weak: []
-      };
-
-      snapshot.forEach(doc => {
-        const data = doc.data();
-        const status = data.status || 'learning';
-
-        if (history[status]) {
-          history[status].push(data);
-        } else if (status === 'new') {
-          history.learning.push(data);
-        }
-      });
-
-      const sortFn = (a, b) => (b.last_seen?._seconds || 0) - (a.last_seen?._seconds || 0);
-      history.known.sort(sortFn);
-      history.learning.sort(sortFn);
-      history.weak.sort(sortFn);
-
-      response.json({ history });
-
-    } catch (error) {
-      logger.error("Error fetching word history", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.getGrammarPills = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    try {
-      response.json({ pills: grammar });
-    } catch (error) {
-      logger.error("Error fetching grammar pills", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.analyzeImage = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const imageUrl = requestData.imageUrl;
-    const targetLang = requestData.targetLang || 'ru';
-
-    if (!imageUrl) {
-      response.status(400).json({ error: "No image URL provided" });
-      return;
-    }
-
-    try {
-      // Fetch image and convert to base64
-      const imageResponse = await fetch(imageUrl);
-      const imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
-      const base64Image = imageBuffer.toString('base64');
-      const mimeType = imageResponse.headers.get('content-type') || 'image/jpeg';
-
-      const prompt = `Analyze this image and describe its content in detail. Then, identify any text present in the image and translate it to ${targetLang === 'ru' ? 'Russian' : 'English'}. Structure your response as follows:
-      Description: [Detailed description of the image content]
-      Detected Text: [Original text found in the image, if any]
-      Translated Text: [Translated text, if any]`;
-
-      const completion = await openai.chat.completions.create({
-        model: "google/gemini-2.0-flash-001", // Vision-capable model
-        messages: [
-          {
-            role: 'user',
-            content: [
-              { type: 'text', text: prompt },
-              { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64Image}` } }
-            ]
-          }
-        ],
-      });
-
-      const analysis = completion.choices[0].message.content.trim();
-
-      response.json({ analysis });
-
-    } catch (error) {
-      logger.error("Error analyzing image", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
-});
-
-exports.translateWord = functions.https.onRequest((request, response) => {
-  cors(request, response, async () => {
-    const requestData = request.body.data || request.body;
-    const text = requestData.text;
-    const targetLang = requestData.targetLang || 'ru';
-
-    if (!text) {
-      response.status(400).json({ error: "No text provided" });
-      return;
-    }
-
-    try {
-      // Use OpenRouter for translation
-      const prompt = `Translate the word or phrase "${text}" to ${targetLang === 'ru' ? 'Russian' : 'English'}. Return only the translation.`;
-
-      const completion = await openai.chat.completions.create({
-        model: AI_MODEL,
-        messages: [{ role: 'user', content: prompt }],
-      });
-
-      const translatedText = completion.choices[0].message.content.trim();
+admin.initializeApp();
 
-      response.json({ translation: translatedText });
+// LLM, speech, vocabulary, ... shared with the Express server (server.js)
+const services = createServices({ admin, logger });
 
-    } catch (error) {
-      logger.error("Error translating word", error);
-      response.status(500).json({ error: error.message });
-    }
-  });
+// Verifies Telegram initData / Firebase ID token and replaces body userId (401 otherwise)
+const authenticate = createAuthMiddleware({
+  admin,
+  botToken: process.env.TELEGRAM_BOT_TOKEN,
+  logger
 });
 
+// One HTTPS function per route (lib/routes.js, handlers in lib/handlers)
+Object.assign(exports, createFunctions(services, { functions, cors, authenticate }));
@@ -0,0 +1,272 @@
+// Engagement: daily activity, goals and streaks
+// Every chat message, word review and summarized lesson bumps a per-day doc at
+// users/{userId}/activity/{YYYY-MM-DD}, the date taken in the learner's timezone
+// (users/{id}.timezone, IANA name, default UTC):
+//   { date, wordsReviewed, chatMessages, chatSeconds, lessons, languages[], lastChatAt, goalMet, updatedAt }
+// A day meets the goal when every non-zero daily goal (users/{id}.dailyGoals) is
+// reached; goalMet is fixed once set, so later goal changes keep past days.
+// The streak counts goal days back from today. A missed day is bridged by a
+// freeze when fewer than `streakFreezes` freezes were used in the 30 days after
+// it. The current streak is mirrored to users/{id}.streak. Learners start with
+// DEFAULT_FREEZES and earn one more for every FREEZE_AWARD_DAYS days of streak, up
+// to MAX_FREEZES; only this module writes users/{id}.streakFreezes.
+
+const DEFAULT_GOALS = { wordsReviewed: 10, chatMinutes: 0, lessons: 0 };
+const GOAL_LIMITS = { wordsReviewed: 500, chatMinutes: 240, lessons: 10 };
+const DEFAULT_FREEZES = 2;
+const MAX_FREEZES = 5;
+const FREEZE_AWARD_DAYS = 7;
+const FREEZE_WINDOW_DAYS = 30;
+const CHAT_SESSION_GAP_MS = 5 * 60 * 1000;  // longer pauses start a new chat session
+const SESSION_START_SECONDS = 60;           // credited for the first message of a session
+const STREAK_LOOKBACK_DAYS = 366;
+const MAX_CALENDAR_DAYS = 90;
+
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Valid override (request), else the profile's timezone, else UTC
+const resolveTimeZone = (profile, override) => {
+    if (isValidTimeZone(override)) return override;
+    if (profile && isValidTimeZone(profile.timezone)) return profile.timezone;
+    return 'UTC';
+};
+
+// Date -> 'YYYY-MM-DD' in the given timezone
+const localDate = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(date);
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings
+const shiftDate = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
+const normalizeGoals = (goals) => {
+    const normalized = {};
+    Object.keys(DEFAULT_GOALS).forEach(key => {
+        const value = goals && goals[key] !== undefined ? Number(goals[key]) : DEFAULT_GOALS[key];
+        normalized[key] = Number.isFinite(value)
+            ? Math.min(Math.max(Math.round(value), 0), GOAL_LIMITS[key])
+            : DEFAULT_GOALS[key];
+    });
+    return normalized;
+};
+
+const normalizeFreezes = (value) => {
+    const freezes = value === undefined || value === null ? DEFAULT_FREEZES : Number(value);
+    return Number.isFinite(freezes) ? Math.min(Math.max(Math.round(freezes), 0), MAX_FREEZES) : DEFAULT_FREEZES;
+};
+
+// Goal progress of one activity day
+const dayProgress = (day) => ({
+    wordsReviewed: day.wordsReviewed || 0,
+    chatMinutes: Math.floor((day.chatSeconds || 0) / 60),
+    lessons: day.lessons || 0
+});
+
+// With every goal set to 0 any activity counts
+const isGoalMet = (day, goals) => {
+    const progress = dayProgress(day);
+    const active = Object.keys(goals).filter(key => goals[key] > 0);
+    if (active.length === 0) return progress.wordsReviewed + progress.lessons + (day.chatMessages || 0) > 0;
+    return active.every(key => progress[key] >= goals[key]);
+};
+
+// goalDays: Set of 'YYYY-MM-DD'. Today only counts once its goal is met,
+// an unfinished today never breaks the streak.
+const computeStreak = (goalDays, today, freezeAllowance) => {
+    let current = 0;
+    const frozen = [];
+    let pending = [];   // freezes only count once an earlier goal day confirms them
+    let date = today;
+
+    if (!goalDays.has(today)) date = shiftDate(today, -1);
+
+    for (let i = 0; i < STREAK_LOOKBACK_DAYS; i++) {
+        if (goalDays.has(date)) {
+            current += 1;
+            frozen.push(...pending);
+            pending = [];
+        } else {
+            const windowEnd = shiftDate(date, FREEZE_WINDOW_DAYS);
+            const used = [...frozen, ...pending].filter(d => d <= windowEnd).length;
+            if (used >= freezeAllowance) break;
+            pending.push(date);
+        }
+        date = shiftDate(date, -1);
+    }
+
+    const windowStart = shiftDate(today, -FREEZE_WINDOW_DAYS);
+    return {
+        current,
+        frozenDays: frozen.sort(),
+        freezesLeft: Math.max(0, freezeAllowance - frozen.filter(d => d > windowStart).length)
+    };
+};
+
+// users, dailyWords: repositories (lib/repositories.js),
+// languageCodes: target languages, for the days marked as mastered
+const createActivityTracker = ({ db, users, dailyWords, languageCodes, FieldValue, logger = console }) => {
+    const days = (userId) => db.collection(`users/${userId}/activity`);
+
+    const loadProfile = async (userId) => (await users.get(userId)) || {};
+
+    const getStreak = async (userId, profile, { timeZone } = {}) => {
+        const today = localDate(new Date(), resolveTimeZone(profile, timeZone));
+        const snapshot = await days(userId)
+            .where('date', '>', shiftDate(today, -STREAK_LOOKBACK_DAYS))
+            .get();
+
+        const goalDays = new Set();
+        snapshot.forEach(doc => {
+            const day = doc.data();
+            if (day.goalMet) goalDays.add(day.date);
+        });
+
+        return computeStreak(goalDays, today, normalizeFreezes(profile && profile.streakFreezes));
+    };
+
+    // event: { language, wordsReviewed?, chatMessages?, lessons? }
+    const record = async (userId, { language, wordsReviewed = 0, chatMessages = 0, lessons = 0 }) => {
+        const profile = await loadProfile(userId);
+        const goals = normalizeGoals(profile.dailyGoals);
+        const now = Date.now();
+        const date = localDate(new Date(now), resolveTimeZone(profile));
+        const dayRef = days(userId).doc(date);
+
+        const reachedGoal = await db.runTransaction(async (t) => {
+            const doc = await t.get(dayRef);
+            const day = doc.exists ? doc.data() : {
+                date,
+                wordsReviewed: 0,
+                chatMessages: 0,
+                chatSeconds: 0,
+                lessons: 0,
+                languages: [],
+                goalMet: false
+            };
+
+            const next = {
+                ...day,
+                wordsReviewed: (day.wordsReviewed || 0) + wordsReviewed,
+                chatMessages: (day.chatMessages || 0) + chatMessages,
+                lessons: (day.lessons || 0) + lessons,
+                languages: language && !(day.languages || []).includes(language)
+                    ? [...(day.languages || []), language]
+                    : day.languages || []
+            };
+
+            // Chat time: gaps between messages of one session, plus a minute per session
+            if (chatMessages > 0) {
+                const gap = day.lastChatAt ? now - day.lastChatAt : Infinity;
+                next.chatSeconds = (day.chatSeconds || 0) +
+                    (gap <= CHAT_SESSION_GAP_MS ? Math.round(gap / 1000) : SESSION_START_SECONDS);
+                next.lastChatAt = now;
+            }
+
+            next.goalMet = Boolean(day.goalMet) || isGoalMet(next, goals);
+            t.set(dayRef, { ...next, updatedAt: FieldValue.serverTimestamp() });
+            return next.goalMet && !day.goalMet;
+        });
+
+        if (reachedGoal) {
+            const streak = await getStreak(userId, profile);
+            const freezes = normalizeFreezes(profile.streakFreezes);
+            const awardFreeze = streak.current > 0 && streak.current % FREEZE_AWARD_DAYS === 0 && freezes < MAX_FREEZES;
+            await users.update(userId, {
+                streak: streak.current,
+                ...(awardFreeze ? { streakFreezes: freezes + 1 } : {}),
+                streakUpdatedAt: FieldValue.serverTimestamp()
+            });
+            logger.info(`[Activity] ${userId} reached the daily goal, streak ${streak.current}${awardFreeze ? `, freezes ${freezes + 1}` : ''}`);
+        }
+    };
+
+    // Last `days` days (oldest first) with goal progress, mastered languages and freezes
+    const getCalendar = async (userId, { days: dayCount = 30, timeZone } = {}) => {
+        const profile = await loadProfile(userId);
+        const zone = resolveTimeZone(profile, timeZone);
+        const goals = normalizeGoals(profile.dailyGoals);
+        const count = Math.min(Math.max(parseInt(dayCount) || 30, 1), MAX_CALENDAR_DAYS);
+        const today = localDate(new Date(), zone);
+        const from = shiftDate(today, -(count - 1));
+
+        const dates = [];
+        for (let date = from; date <= today; date = shiftDate(date, 1)) dates.push(date);
+
+        const snapshot = await days(userId).where('date', '>=', from).get();
+        const byDate = new Map();
+        snapshot.forEach(doc => byDate.set(doc.data().date, doc.data()));
+
+        // Days marked via /markDailyMastered
+        const lookups = [];
+        dates.forEach(date => languageCodes.forEach(code => lookups.push({ date, code })));
+        const masteredDays = await dailyWords.getMany(userId, lookups.map(({ date, code }) => ({ date, language: code })));
+        const mastered = new Map();
+        masteredDays.forEach((day, index) => {
+            if (!day || !day.mastered) return;
+            const { date, code } = lookups[index];
+            mastered.set(date, [...(mastered.get(date) || []), code]);
+        });
+
+        const streak = await getStreak(userId, profile, { timeZone: zone });
+        const frozen = new Set(streak.frozenDays);
+
+        const calendar = dates.map(date => {
+            const day = byDate.get(date) || {};
+            return {
+                date,
+                ...dayProgress(day),
+                chatMessages: day.chatMessages || 0,
+                languages: day.languages || [],
+                mastered: mastered.get(date) || [],
+                // Today is judged against the current goals, past days keep their result
+                goalMet: date === today ? isGoalMet(day, goals) : Boolean(day.goalMet),
+                frozen: frozen.has(date)
+            };
+        });
+
+        return {
+            timezone: zone,
+            today,
+            goals,
+            streakFreezes: normalizeFreezes(profile.streakFreezes),
+            streak,
+            days: calendar
+        };
+    };
+
+    return {
+        record,
+        getStreak,
+        getCalendar
+    };
+};
+
+module.exports = {
+    DEFAULT_GOALS,
+    GOAL_LIMITS,
+    DEFAULT_FREEZES,
+    MAX_FREEZES,
+    FREEZE_AWARD_DAYS,
+    isValidTimeZone,
+    resolveTimeZone,
+    localDate,
+    shiftDate,
+    normalizeGoals,
+    computeStreak,
+    createActivityTracker
+};
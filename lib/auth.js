@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// Authentication middleware
+// Accepts either:
+//   Authorization: tma <initData>      (Telegram WebApp, HMAC-signed by the bot token)
+//   X-Telegram-Init-Data: <initData>
+//   Authorization: Bearer <idToken>    (Firebase Auth ID token)
+// The verified identity replaces whatever userId the client put in the body.
+
+const DEFAULT_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+// Returns the Telegram user object, or null if the signature is missing/forged/expired.
+const verifyTelegramInitData = (initData, botToken, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS) => {
+    if (!initData || !botToken) return null;
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) return null;
+    params.delete('hash');
+
+    const dataCheckString = [...params.entries()]
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+    if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(hash, 'hex'))) {
+        return null;
+    }
+
+    const authDate = parseInt(params.get('auth_date'), 10);
+    if (!authDate || (Date.now() / 1000 - authDate) > maxAgeSeconds) return null;
+
+    try {
+        const user = JSON.parse(params.get('user'));
+        return user && user.id ? user : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const readCredentials = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, ...rest] = header.split(' ');
+    const value = rest.join(' ').trim();
+
+    if (/^tma$/i.test(scheme) && value) return { type: 'telegram', value };
+    if (/^bearer$/i.test(scheme) && value) return { type: 'firebase', value };
+
+    const initData = req.headers['x-telegram-init-data'];
+    if (initData) return { type: 'telegram', value: initData };
+
+    return null;
+};
+
+// Returns an Express-style (req, res, next) middleware.
+// On success sets req.auth = { userId, provider } and overwrites body userId.
+const createAuthMiddleware = ({ admin, botToken, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS, logger = console }) => {
+    return async (req, res, next) => {
+        const credentials = readCredentials(req);
+
+        if (!credentials) {
+            return res.status(401).json({ error: "Missing credentials" });
+        }
+
+        let userId = null;
+
+        if (credentials.type === 'telegram') {
+            const user = verifyTelegramInitData(credentials.value, botToken, maxAgeSeconds);
+            if (user) userId = String(user.id);
+        } else {
+            try {
+                const decoded = await admin.auth().verifyIdToken(credentials.value);
+                userId = decoded.uid;
+            } catch (e) {
+                logger.warn("Firebase ID token rejected", e.message);
+            }
+        }
+
+        if (!userId) {
+            return res.status(401).json({ error: "Invalid or expired credentials" });
+        }
+
+        req.auth = { userId, provider: credentials.type };
+
+        if (!req.body || typeof req.body !== 'object') req.body = {};
+        const requestData = req.body.data || req.body;
+        requestData.userId = userId;
+
+        next();
+    };
+};
+
+module.exports = {
+    verifyTelegramInitData,
+    createAuthMiddleware
+};
@@ -0,0 +1,181 @@
+// Tutor chat turn: system prompt for the chat mode, the recent history window and
+// saving the exchange. Shared by /chat (typed) and /voiceChat (transcribed).
+// Messages are stored through the dialogs repository (lib/repositories.js):
+//   { role: user|assistant, text, mode, lessonId? (lesson mode), input?: 'voice', createdAt }
+
+const { HISTORY_WINDOW } = require('./memory');
+const { aggregateByCategory } = require('./mistakes');
+const { resolveLevel } = require('./placement');
+
+// Chat modes, each with its own system prompt
+const MODES = ['conversation', 'lesson', 'fixme', 'vocab', 'grammar'];
+
+const DEFAULT_PROFILE = {
+    level: 'Intermediate',
+    goal: 'General English',
+    style: 'Friendly tutor',
+    activeLesson: 'lesson1'
+};
+
+const createChatService = ({ users, dialogs, llm, languages, curriculum, conversationMemory, mistakeTracker, activity, logger = console }) => {
+    const buildSystemPrompt = async (userId, language, userData, mode, activeLesson) => {
+        const target = languages.getTarget(language);
+        const langName = target.name;
+        const tutorRole = target.tutorRole;
+        const nativeName = languages.languageName(userData.nativeLanguage || languages.defaultNative);
+        const level = resolveLevel(userData, language);
+
+        // Long-term memory (running summary + learner facts) sits next to the profile
+        const memory = await conversationMemory.load(userId, language);
+        // Top recurring error categories from the personal error notebook
+        const recentMistakes = await mistakeTracker.getRecent(userId, language, 100);
+
+        const baseProfile = `Student Profile:
+- Level: ${level} (${langName}, CEFR)
+- Goal: ${userData.goal}
+- Preferred Style: ${userData.style}
+${mistakeTracker.formatForPrompt(aggregateByCategory(recentMistakes))}${conversationMemory.formatForPrompt(memory)}`;
+
+        if (mode === 'conversation') {
+            return `You are an ${tutorRole}. Style: ${userData.style}.
+${baseProfile}
+Task: Chat naturally in ${langName}.
+Rules:
+1. Speak ${langName}.
+2. If the user asks clearly "Translate this" or "What does X mean in ${nativeName}?", you MUST provide the translation/explanation in their native language, then switch back to ${langName}.
+3. Correct only significant mistakes that hinder understanding.
+4. Keep the flow natural.`;
+        }
+
+        if (mode === 'lesson') {
+            // Lesson from the data-driven curriculum (unknown ids start at the first lesson)
+            const lesson = curriculum.resolveLesson(language, activeLesson);
+            return `You are teaching a structured ${langName} lesson.
+${baseProfile}
+Current Lesson: ${curriculum.buildLessonPrompt(lesson)}
+Rules:
+1. Explain ONE concept or ask ONE question at a time.
+2. No long lectures. Interactive step-by-step.
+3. Give examples in ${langName} (with translation if beginner).
+4. Correct every mistake strictly related to the topic.`;
+        }
+
+        if (mode === 'fixme') {
+            return `You remain in 'Fix Me' mode.
+${baseProfile}
+Task: The user will send text (likely trying to write in ${langName}). You must:
+1. Correct the text.
+2. Explain the main error (briefly).
+3. Suggest a more natural native alternative.
+Output format:
+"✅ Corrected: ..."
+"💡 Explanation: ..."
+"✨ Better way: ..."`;
+        }
+
+        if (mode === 'vocab') {
+            return `You are a Vocabulary Helper for ${langName}.
+${baseProfile}
+Task: The user sends a word or phrase.
+1. Define it.
+2. Give 3 examples in context.
+3. Show collocations.`;
+        }
+
+        if (mode === 'grammar') {
+            return `You are a Grammar Coach for ${langName}.
+${baseProfile}
+Task: The user will ask a topic or send a sentence.
+1. Explain the rule simply (suited for ${level}).
+2. Give 2 examples.
+3. Ask the user to create a sentence using this rule to check understanding.`;
+        }
+
+        return "";
+    };
+
+    // -> { task, messages, saveExchange(aiResponse) }
+    // input: 'voice' marks transcribed user turns in the history
+    const prepare = async (userId, language, { message: userMessage, mode, activeLesson: clientActiveLesson, input }) => {
+        const profile = await users.get(userId);
+
+        // Update Active Lesson if changed (only in lesson mode)
+        if (mode === 'lesson' && clientActiveLesson) {
+            await users.update(userId, { activeLesson: clientActiveLesson });
+        }
+
+        // Placement, streaks and lessons write users/{id} too, so a doc may hold no profile fields
+        const userData = { ...DEFAULT_PROFILE, ...profile };
+        const activeLesson = clientActiveLesson || userData.activeLesson || 'lesson1';
+        const systemInstructionText = await buildSystemPrompt(userId, language, userData, mode, activeLesson);
+
+        // Load History
+        const distinctHistory = await dialogs.recent(userId, language, HISTORY_WINDOW);
+
+        // Convert to OpenAI format
+        const messages = [
+            { role: 'system', content: systemInstructionText },
+            ...distinctHistory.map(msg => ({
+                role: msg.role === 'assistant' ? 'assistant' : 'user',
+                content: msg.text
+            })),
+            { role: 'user', content: userMessage }
+        ];
+
+        // Lesson turns name their lesson, so /summarizeLesson judges only those
+        const lessonTag = mode === 'lesson' ? { lessonId: activeLesson } : {};
+
+        // Save History
+        const saveExchange = async (aiResponse) => {
+            await dialogs.append(userId, language, [
+                {
+                    role: 'user',
+                    text: userMessage,
+                    mode: mode || 'conversation',
+                    ...lessonTag,
+                    ...(input ? { input } : {})
+                },
+                {
+                    role: 'assistant',
+                    text: aiResponse,
+                    mode: mode || 'conversation',
+                    ...lessonTag
+                }
+            ]);
+
+            // Fold messages that left the prompt window into long-term memory
+            conversationMemory.maybeCompress(userId, language)
+                .catch(error => logger.error("Memory compression failed", error));
+
+            // Record corrections as structured entries in the error notebook
+            mistakeTracker.captureFromChat({
+                userId,
+                language,
+                langName: languages.getTarget(language).name,
+                mode,
+                userMessage,
+                aiResponse
+            }).catch(error => logger.error("Mistake capture failed", error));
+
+            // Chat time and message count for daily goals and streaks
+            activity.record(userId, { language, chatMessages: 1 })
+                .catch(error => logger.error("Activity tracking failed", error));
+        };
+
+        return {
+            // Fix Me corrections can be routed to a different model than free chat
+            task: mode === 'fixme' ? 'fixme' : 'chat',
+            messages,
+            saveExchange
+        };
+    };
+
+    return {
+        prepare
+    };
+};
+
+module.exports = {
+    MODES,
+    createChatService
+};
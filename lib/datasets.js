@@ -0,0 +1,152 @@
+// Schema validation for per-language datasets (data/{lang}/vocabulary.json,
+// data/{lang}/grammar.json, data/{lang}/placement.json). Run at startup: a malformed entry stops the
+// server instead of surfacing later as a broken word card.
+
+const { CEFR_LEVELS } = require('./lessons');
+
+const WORD_TYPES = [
+    'noun',
+    'verb',
+    'adjective',
+    'adverb',
+    'pronoun',
+    'preposition',
+    'conjunction',
+    'interjection',
+    'determiner',
+    'phrase'
+];
+
+const PILL_CONTENT_TYPES = ['text', 'example'];
+
+const MAX_IPA_LENGTH = 80;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// IPA between slashes or brackets ("/wɜːd/", "[wɜːd]"), not a transliteration in another script
+const isIpa = (value) => typeof value === 'string'
+    && value.length <= MAX_IPA_LENGTH
+    && (/^\/[^/]+\/$/.test(value) || /^\[[^\]]+\]$/.test(value))
+    && !/[<>{}\d\u0400-\u04FF]/.test(value);
+
+// "wɜːd" / "/wɜːd/" / "[wɜːd]" -> "/wɜːd/"; null when it does not look like a transcription
+const normalizeIpa = (value) => {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    const ipa = /^\[.+\]$/.test(trimmed) ? trimmed : `/${trimmed.replace(/^\/|\/$/g, '')}/`;
+    return isIpa(ipa) ? ipa : null;
+};
+
+// Returns a list of "<file>[index] <problem>" strings, empty when valid
+const validateVocabulary = (entries, { source, nativeCodes }) => {
+    if (!Array.isArray(entries)) return [`${source} must be an array`];
+
+    const errors = [];
+    const seen = new Set();
+
+    entries.forEach((entry, index) => {
+        const at = `${source}[${index}]${entry && entry.word ? ` "${entry.word}"` : ''}`;
+
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${at} must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(entry.word)) errors.push(`${at} word is required`);
+        else if (seen.has(entry.word)) errors.push(`${at} duplicate word`);
+        else seen.add(entry.word);
+
+        if (!entry.translations || typeof entry.translations !== 'object' || Object.keys(entry.translations).length === 0) {
+            errors.push(`${at} translations must map native language codes to text`);
+        } else {
+            Object.entries(entry.translations).forEach(([code, text]) => {
+                if (!nativeCodes.includes(code)) errors.push(`${at} unknown native language "${code}"`);
+                if (!isNonEmptyString(text)) errors.push(`${at} translations.${code} must be a non-empty string`);
+            });
+        }
+
+        if (!WORD_TYPES.includes(entry.type)) errors.push(`${at} type must be one of ${WORD_TYPES.join(', ')}`);
+        if (!CEFR_LEVELS.includes(entry.level)) errors.push(`${at} level must be one of ${CEFR_LEVELS.join(', ')}`);
+        if (!isNonEmptyString(entry.definition)) errors.push(`${at} definition is required`);
+        if (!isNonEmptyString(entry.example)) errors.push(`${at} example is required`);
+        if (entry.pronunciation !== undefined && !isIpa(entry.pronunciation)) {
+            errors.push(`${at} pronunciation must be IPA between slashes, e.g. /wɜːd/`);
+        }
+        if (entry.tags !== undefined && (!Array.isArray(entry.tags) || !entry.tags.every(isNonEmptyString))) {
+            errors.push(`${at} tags must be an array of strings`);
+        }
+    });
+
+    return errors;
+};
+
+const validateGrammar = (pills, { source }) => {
+    if (!Array.isArray(pills)) return [`${source} must be an array`];
+
+    const errors = [];
+    const seen = new Set();
+
+    pills.forEach((pill, index) => {
+        const at = `${source}[${index}]${pill && pill.id ? ` "${pill.id}"` : ''}`;
+
+        if (!pill || typeof pill !== 'object') {
+            errors.push(`${at} must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(pill.id)) errors.push(`${at} id is required`);
+        else if (seen.has(pill.id)) errors.push(`${at} duplicate id`);
+        else seen.add(pill.id);
+
+        if (!isNonEmptyString(pill.title)) errors.push(`${at} title is required`);
+        if (!isNonEmptyString(pill.description)) errors.push(`${at} description is required`);
+        if (!Array.isArray(pill.content) || pill.content.length === 0) {
+            errors.push(`${at} content must be a non-empty array`);
+        } else {
+            pill.content.forEach((block, blockIndex) => {
+                if (!block || !PILL_CONTENT_TYPES.includes(block.type) || !isNonEmptyString(block.text)) {
+                    errors.push(`${at} content[${blockIndex}] must be { type: text|example, text }`);
+                }
+            });
+        }
+    });
+
+    return errors;
+};
+
+// Placement test grammar items: { id, level, prompt, options[], answer (option index) }
+const validatePlacement = (items, { source }) => {
+    if (!Array.isArray(items)) return [`${source} must be an array`];
+
+    const errors = [];
+    const seen = new Set();
+
+    items.forEach((item, index) => {
+        const at = `${source}[${index}]${item && item.id ? ` "${item.id}"` : ''}`;
+
+        if (!item || typeof item !== 'object') {
+            errors.push(`${at} must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(item.id)) errors.push(`${at} id is required`);
+        else if (seen.has(item.id)) errors.push(`${at} duplicate id`);
+        else seen.add(item.id);
+
+        if (!CEFR_LEVELS.includes(item.level)) errors.push(`${at} level must be one of ${CEFR_LEVELS.join(', ')}`);
+        if (!isNonEmptyString(item.prompt)) errors.push(`${at} prompt is required`);
+        if (!Array.isArray(item.options) || item.options.length < 2 || !item.options.every(isNonEmptyString)) {
+            errors.push(`${at} options must be at least two strings`);
+        } else if (!Number.isInteger(item.answer) || item.answer < 0 || item.answer >= item.options.length) {
+            errors.push(`${at} answer must be the index of the correct option`);
+        }
+    });
+
+    return errors;
+};
+
+module.exports = {
+    WORD_TYPES,
+    isIpa,
+    normalizeIpa,
+    validateVocabulary,
+    validateGrammar,
+    validatePlacement
+};
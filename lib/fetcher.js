@@ -0,0 +1,191 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Fetching client-supplied URLs without SSRF
+// - https only (http when allowHttp), no credentials in the URL
+// - every address a host resolves to is checked at connect time (and on each
+//   redirect); private, loopback, link-local and other non-public ranges are refused
+// - the body is streamed and aborted past maxBytes; one deadline covers
+//   DNS, connect, redirects and download
+// - optional content type check (header prefixes) before the body is read
+// Every failure is an Error with a 4xx `status` and a message safe to show the client.
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+
+// Non-public ranges (IPv4-mapped IPv6 addresses are checked against the IPv4 rules).
+// NAT64, 6to4 and Teredo addresses embed an IPv4 address that may be private, so
+// those prefixes are refused as a whole.
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['64:ff9b:1::', 48, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001::', 32, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['2002::', 16, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, family]) => blockList.addSubnet(address, prefix, family));
+
+const fetchError = (status, message) => Object.assign(new Error(message), { status });
+
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup replacement for http(s).request that refuses non-public addresses
+const createGuardedLookup = (lookup, isBlocked) => (hostname, options, callback) => {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(fetchError(422, `Could not resolve ${hostname}`));
+        }
+        if (addresses.length === 0 || addresses.some(a => isBlocked(a.address))) {
+            return callback(fetchError(400, "URL points to a private or local address"));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// lookup, isBlocked: injectable for tests (same signature as dns.lookup / isBlockedAddress),
+// e.g. to let a loopback test server through
+const createSafeFetcher = ({
+    allowHttp = false,
+    maxBytes = DEFAULT_MAX_BYTES,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    lookup = dns.lookup,
+    isBlocked = isBlockedAddress,
+    logger = console
+} = {}) => {
+    const guardedLookup = createGuardedLookup(lookup, isBlocked);
+
+    const parseUrl = (value) => {
+        let url;
+        try {
+            url = new URL(String(value));
+        } catch (e) {
+            throw fetchError(400, "Invalid URL");
+        }
+        if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+            throw fetchError(400, allowHttp ? "Only http and https URLs are allowed" : "Only https URLs are allowed");
+        }
+        if (url.username || url.password) throw fetchError(400, "URLs with credentials are not allowed");
+
+        // IP literals never reach the lookup, so they are checked here
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && isBlocked(host)) {
+            throw fetchError(400, "URL points to a private or local address");
+        }
+        return url;
+    };
+
+    // One request, no redirects followed -> { status, headers, location?, data? }
+    const request = (url, { limit, contentTypes, signal }) => new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, {
+            method: 'GET',
+            lookup: guardedLookup,
+            headers: { 'User-Agent': 'LinguaMentor/1.0', Accept: contentTypes ? contentTypes.map(t => `${t}*`).join(', ') : '*/*' },
+            signal
+        }, (res) => {
+            const { statusCode, headers } = res;
+
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                res.resume();
+                return resolve({ status: statusCode, headers, location: headers.location });
+            }
+            if (statusCode < 200 || statusCode >= 300) {
+                res.resume();
+                return reject(fetchError(422, `URL returned HTTP ${statusCode}`));
+            }
+
+            const contentType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (contentTypes && contentType && contentType !== 'application/octet-stream'
+                && !contentTypes.some(prefix => contentType.startsWith(prefix))) {
+                res.destroy();
+                return reject(fetchError(415, `URL returned ${contentType}, expected ${contentTypes.join(' or ')}`));
+            }
+
+            const tooLarge = () => fetchError(413, `URL content is larger than ${Math.round(limit / 1024)} KB`);
+            if (parseInt(headers['content-length'], 10) > limit) {
+                res.destroy();
+                return reject(tooLarge());
+            }
+
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > limit) {
+                    res.destroy();
+                    reject(tooLarge());
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve({ status: statusCode, headers, contentType, data: Buffer.concat(chunks) }));
+            res.on('error', reject);
+        });
+
+        req.on('error', reject);
+        req.end();
+    });
+
+    // -> { data: Buffer, contentType, url: final URL }
+    // options: maxBytes, contentTypes (e.g. ['image/'])
+    const fetchUrl = async (value, { maxBytes: limit = maxBytes, contentTypes } = {}) => {
+        const signal = AbortSignal.timeout(timeoutMs);
+        let url = parseUrl(value);
+
+        try {
+            for (let redirects = 0; ; redirects++) {
+                const response = await request(url, { limit, contentTypes, signal });
+                if (!response.location) {
+                    logger.info(`[Fetch] ${url.host}: ${response.data.length}B ${response.contentType || ''}`);
+                    return { data: response.data, contentType: response.contentType || null, url: url.toString() };
+                }
+                if (redirects >= MAX_REDIRECTS) throw fetchError(422, "Too many redirects");
+                url = parseUrl(new URL(response.location, url));
+            }
+        } catch (error) {
+            if (error.status) throw error;
+            if (signal.aborted) throw fetchError(422, `URL did not respond within ${timeoutMs / 1000}s`);
+            logger.warn(`[Fetch] ${url.host} failed: ${error.code || error.message}`);
+            throw fetchError(422, "Could not fetch the URL");
+        }
+    };
+
+    return {
+        fetch: fetchUrl
+    };
+};
+
+module.exports = {
+    isBlockedAddress,
+    createSafeFetcher
+};
@@ -0,0 +1,129 @@
+const { wantsStream, streamChatCompletion } = require('../sse');
+const { aggregateByCategory } = require('../mistakes');
+
+// Tutor chat: typed turns (JSON or SSE), history, long-term memory and the error notebook
+const createChatHandlers = ({ dialogs, llm, conversationMemory, mistakeTracker, chatService, logger }) => {
+    // ===== CHAT =====
+    const chat = async (req, res) => {
+        const requestData = req.body;
+        const { userId, message: userMessage, mode, activeLesson: clientActiveLesson } = requestData;
+        const language = requestData.language;
+
+        logger.log(`[Chat] Request from ${userId}: ${userMessage}`);
+
+        try {
+            const { task, messages, saveExchange } = await chatService.prepare(userId, language, {
+                message: userMessage,
+                mode,
+                activeLesson: clientActiveLesson
+            });
+
+            // Streaming variant: tokens as SSE, history saved once the stream completes
+            if (wantsStream(req, requestData)) {
+                await streamChatCompletion({
+                    llm,
+                    task,
+                    messages,
+                    res,
+                    onComplete: saveExchange,
+                    logger
+                });
+                return;
+            }
+
+            const completion = await llm.complete(task, {
+                messages: messages,
+            });
+
+            const aiResponse = completion.text;
+
+            await saveExchange(aiResponse);
+
+            res.json({ response: aiResponse });
+        } catch (error) {
+            logger.error("Error processing chat request", error);
+            if (res.headersSent) {
+                return res.end();
+            }
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== GET CHAT HISTORY =====
+    const getChatHistory = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            const messages = await dialogs.recent(userId, language, 50);
+
+            res.json({ messages });
+        } catch (error) {
+            logger.error("Error fetching history", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== GET MEMORY =====
+    const getMemory = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            const memory = await conversationMemory.load(userId, language);
+            res.json({ memory });
+        } catch (error) {
+            logger.error("Error fetching memory", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== CLEAR MEMORY =====
+    const clearMemory = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            await conversationMemory.clear(userId, language);
+            res.json({ success: true });
+        } catch (error) {
+            logger.error("Error clearing memory", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== GET MISTAKES =====
+    const getMistakes = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+        const category = requestData.category;
+
+        try {
+            const recent = await mistakeTracker.getRecent(userId, language);
+
+            res.json({
+                mistakes: category ? recent.filter(m => m.category === category) : recent,
+                categories: aggregateByCategory(recent)
+            });
+        } catch (error) {
+            logger.error("Error fetching mistakes", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    return {
+        chat,
+        getChatHistory,
+        getMemory,
+        clearMemory,
+        getMistakes
+    };
+};
+
+module.exports = {
+    createChatHandlers
+};
@@ -0,0 +1,78 @@
+const { resolveLevel } = require('../placement');
+const { MAX_IMAGE_BYTES, readImage, decodeImage } = require('../vision');
+
+// Photo -> vocabulary (lib/vision.js), optionally added to the learner's words
+const createImageHandlers = ({ users, languages, wordReviews, imageAnalyzer, safeFetcher, logger }) => {
+    // ===== ANALYZE IMAGE =====
+    // JSON ({ image } base64 / { imageUrl }) or multipart/form-data with an `image` file
+    const analyzeImage = async (req, res) => {
+        const requestData = req.body;
+        const { userId, imageUrl, image, addWords } = requestData;
+        const language = requestData.language;
+        const upload = (requestData.files || []).find(f => f.field === 'image');
+
+        try {
+            let imageData;
+            if (upload) {
+                imageData = readImage(upload.data);
+            } else if (image) {
+                imageData = decodeImage(image);
+            } else {
+                const { data } = await safeFetcher.fetch(imageUrl, { maxBytes: MAX_IMAGE_BYTES, contentTypes: ['image/'] });
+                imageData = readImage(data);
+            }
+
+            const userData = (await users.get(userId)) || {};
+            // targetLang is the translation language (kept from the prose version of this endpoint)
+            const nativeLanguage = requestData.targetLang || userData.nativeLanguage || languages.defaultNative;
+
+            const result = await imageAnalyzer.analyze({
+                image: imageData,
+                language,
+                nativeLanguage,
+                level: resolveLevel(userData, language)
+            });
+
+            // addWords: true for every detected object, or a list of the detected words
+            const added = [];
+            if (addWords === true || addWords === 'true' || Array.isArray(addWords)) {
+                const wanted = Array.isArray(addWords) ? addWords.map(w => String(w).toLowerCase()) : null;
+                const words = result.objects.filter(o => !wanted || wanted.includes(o.word.toLowerCase()));
+
+                for (const object of words) {
+                    const { created, card } = await wordReviews.addWord(userId, language, {
+                        word: object.word,
+                        source: 'image',
+                        context: object.example || result.description,
+                        nativeLanguage
+                    });
+                    added.push({ word: object.word, created, added: Boolean(card) });
+                }
+            }
+
+            res.json({
+                language,
+                ...result,
+                added,
+                // Prose summary for clients of the old response
+                analysis: [
+                    `Description: ${result.description || ''}`,
+                    `Detected Text: ${result.text ? result.text.original : ''}`,
+                    `Translated Text: ${result.text ? result.text.translation || '' : ''}`
+                ].join('\n')
+            });
+
+        } catch (error) {
+            logger.error("Error analyzing image", error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    return {
+        analyzeImage
+    };
+};
+
+module.exports = {
+    createImageHandlers
+};
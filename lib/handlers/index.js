@@ -0,0 +1,33 @@
+const { createChatHandlers } = require('./chat');
+const { createLessonHandlers } = require('./lessons');
+const { createPlacementHandlers } = require('./placement');
+const { createSpeechHandlers } = require('./speech');
+const { createTranslateHandlers } = require('./translate');
+const { createWordHandlers } = require('./words');
+const { createQuizHandlers } = require('./quiz');
+const { createVocabularyHandlers } = require('./vocabulary');
+const { createProfileHandlers } = require('./profile');
+const { createImageHandlers } = require('./images');
+
+// Route handlers shared by the Express server and the Cloud Functions.
+// Each group is a factory over the services it needs (lib/services.js) returning
+// Express-style (req, res) handlers. req.body has already been authenticated and
+// validated (lib/routes.js), so handlers can be called directly with a fake req / res.
+
+// services -> { [route]: handler }
+const createHandlers = (services) => ({
+    ...createChatHandlers(services),
+    ...createLessonHandlers(services),
+    ...createPlacementHandlers(services),
+    ...createSpeechHandlers(services),
+    ...createTranslateHandlers(services),
+    ...createWordHandlers(services),
+    ...createQuizHandlers(services),
+    ...createVocabularyHandlers(services),
+    ...createProfileHandlers(services),
+    ...createImageHandlers(services)
+});
+
+module.exports = {
+    createHandlers
+};
@@ -0,0 +1,180 @@
+const { CATEGORIES, sanitizeMistakes } = require('../mistakes');
+
+// Curriculum: lesson list and progress, lesson summaries with automatic advancement, grammar pills
+const createLessonHandlers = ({ users, dialogs, lessons, FieldValue, languages, curriculum, llm, activity, logger }) => {
+    // ===== SUMMARIZE LESSON =====
+    const summarizeLesson = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            const recentHistory = await dialogs.recent(userId, language, 50);
+
+            const profile = await users.get(userId);
+            const activeLesson = requestData.activeLesson || (profile && profile.activeLesson) || null;
+            const lesson = activeLesson ? curriculum.findLesson(language, activeLesson) : null;
+
+            // A lesson is judged on its own lesson-mode turns (messages saved before
+            // lessonId was recorded count for whichever lesson is active)
+            const distinctHistory = lesson
+                ? recentHistory.filter(msg => msg.mode === 'lesson' && (!msg.lessonId || msg.lessonId === lesson.id))
+                : recentHistory;
+
+            if (distinctHistory.length === 0) {
+                return res.json({ message: "No messages to summarize" });
+            }
+
+            const chatText = distinctHistory.map(msg =>
+                `${msg.role === 'user' ? 'Student' : 'Tutor'}: ${msg.text}`
+            ).join('\n');
+
+            const objectivesText = lesson
+                ? `
+Lesson objectives (id: description):
+${lesson.objectives.map(o => `${o.id}: ${o.text}`).join('\n')}
+List in "objectivesMet" the ids of the objectives the student clearly achieved.`
+                : '';
+
+            const prompt = `Analyze the conversation and output JSON only.
+History:
+${chatText}
+${objectivesText}
+Format: { "topic": "...", "mistakes": [{ "original": "...", "corrected": "...", "category": "<one of: ${CATEGORIES.join(', ')}>", "explanation": "..." }], "newVocabulary": [...], "recommendations": "..."${lesson ? ', "objectivesMet": [...]' : ''} }`;
+
+            const completion = await llm.complete('summarize', {
+                messages: [{ role: 'user', content: prompt }],
+                responseFormat: { type: "json_object" }
+            });
+
+            const summaryJson = JSON.parse(completion.text);
+            // Chat turns already feed the error notebook; here they only structure the lesson record
+            summaryJson.mistakes = sanitizeMistakes(summaryJson.mistakes);
+
+            // Lesson progress & automatic advancement
+            let lessonResult = null;
+            if (lesson) {
+                const studentMessages = distinctHistory.filter(m => m.role === 'user').length;
+                const { objectivesMet, completed } = curriculum.evaluateCompletion(lesson, summaryJson.objectivesMet, studentMessages);
+                const nextLesson = completed ? curriculum.getNextLesson(language, lesson.id) : null;
+
+                const previous = await lessons.getLessonProgress(userId, language, lesson.id);
+                const wasCompleted = Boolean(previous) && previous.status === 'completed';
+
+                await lessons.updateProgress(userId, language, lesson.id, {
+                    lessonId: lesson.id,
+                    level: lesson.level,
+                    status: completed || wasCompleted ? 'completed' : 'in_progress',
+                    objectivesMet,
+                    attempts: FieldValue.increment(1),
+                    updatedAt: FieldValue.serverTimestamp(),
+                    ...(completed && !wasCompleted ? { completedAt: FieldValue.serverTimestamp() } : {})
+                });
+
+                if (nextLesson) {
+                    await users.update(userId, { activeLesson: nextLesson.id });
+                }
+
+                // Counts toward the daily lessons goal
+                activity.record(userId, { language, lessons: 1 })
+                    .catch(error => logger.error("Activity tracking failed", error));
+
+                lessonResult = {
+                    id: lesson.id,
+                    completed,
+                    objectivesMet,
+                    nextLesson: nextLesson ? nextLesson.id : null
+                };
+            }
+
+            await lessons.addRecord(userId, {
+                ...summaryJson,
+                language,
+                ...(lesson ? { lessonId: lesson.id } : {})
+            });
+
+            res.json({ success: true, summary: summaryJson, lesson: lessonResult });
+
+        } catch (error) {
+            logger.error("Error in summary:", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== GET LESSONS =====
+    const getLessons = async (req, res) => {
+        const requestData = req.body;
+        const language = requestData.language;
+        const level = requestData.level;
+
+        try {
+            const lessonList = curriculum.getLessons(language, level).map(curriculum.describeLesson);
+            res.json({ lessons: lessonList });
+        } catch (error) {
+            logger.error("Error fetching lessons", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== GET LESSON PROGRESS =====
+    const getLessonProgress = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            const profile = await users.get(userId);
+            const activeLesson = curriculum.resolveLesson(language, profile ? profile.activeLesson : null);
+
+            const progressMap = await lessons.getProgress(userId, language);
+
+            const lessonList = curriculum.getLessons(language).map(lesson => {
+                const progress = progressMap.get(lesson.id);
+                return {
+                    id: lesson.id,
+                    title: lesson.title,
+                    level: lesson.level,
+                    status: progress ? progress.status : 'not_started',
+                    objectivesMet: progress ? progress.objectivesMet : [],
+                    totalObjectives: lesson.objectives.length,
+                    attempts: progress ? progress.attempts : 0,
+                    completedAt: progress ? progress.completedAt || null : null
+                };
+            });
+
+            res.json({
+                activeLesson: activeLesson ? activeLesson.id : null,
+                completed: lessonList.filter(l => l.status === 'completed').length,
+                total: lessonList.length,
+                lessons: lessonList
+            });
+        } catch (error) {
+            logger.error("Error fetching lesson progress", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== GET GRAMMAR PILLS =====
+    const getGrammarPills = async (req, res) => {
+        const requestData = req.body;
+        const language = requestData.language;
+
+        try {
+            res.json({ pills: languages.getData(language).grammar });
+        } catch (error) {
+            logger.error("Error fetching grammar pills", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    return {
+        summarizeLesson,
+        getLessons,
+        getLessonProgress,
+        getGrammarPills
+    };
+};
+
+module.exports = {
+    createLessonHandlers
+};
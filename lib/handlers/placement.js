@@ -0,0 +1,62 @@
+// Adaptive placement test (lib/placement.js)
+const createPlacementHandlers = ({ users, languages, placementTest, logger }) => {
+    // ===== PLACEMENT TEST =====
+    const startPlacementTest = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            const userData = (await users.get(userId)) || {};
+
+            // Self-assessed level (or a previous result) only picks the first question
+            const started = await placementTest.start(userId, language, {
+                nativeLanguage: userData.nativeLanguage || languages.defaultNative,
+                startLevel: requestData.startLevel || userData.levels?.[language]
+            });
+
+            res.json(started);
+        } catch (error) {
+            logger.error("Error starting placement test", error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    const answerPlacementTest = async (req, res) => {
+        const requestData = req.body;
+        const { userId, questionId, answer } = requestData;
+        const language = requestData.language;
+
+        try {
+            const result = await placementTest.answer(userId, language, { questionId, answer });
+            res.json(result);
+        } catch (error) {
+            logger.error("Error answering placement test", error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    const finishPlacementTest = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            const result = await placementTest.finish(userId, language);
+            res.json(result);
+        } catch (error) {
+            logger.error("Error finishing placement test", error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    return {
+        startPlacementTest,
+        answerPlacementTest,
+        finishPlacementTest
+    };
+};
+
+module.exports = {
+    createPlacementHandlers
+};
@@ -0,0 +1,109 @@
+const { resolveTimeZone, normalizeGoals } = require('../activity');
+
+// Learner profile, daily goals, activity calendar, statistics and usage
+const createProfileHandlers = ({ users, usageTracker, activity, stats, logger }) => {
+    // ===== UPDATE PROFILE =====
+    const updateProfile = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const profile = requestData.profile; // { level, goal, style, nativeLanguage, levels, timezone, ... }
+
+        try {
+            // Only whitelisted profile fields get here (lib/schemas.js)
+            await users.update(userId, profile);
+            res.json({ success: true });
+        } catch (error) {
+            logger.error("Error updating profile", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== ACTIVITY & GOALS =====
+    const getActivity = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const timezone = requestData.timezone;
+
+        try {
+            const calendar = await activity.getCalendar(userId, {
+                days: requestData.days,
+                timeZone: timezone
+            });
+
+            res.json(calendar);
+        } catch (error) {
+            logger.error("Error fetching activity", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    const setDailyGoals = async (req, res) => {
+        const requestData = req.body;
+        const { userId, goals, timezone } = requestData;
+
+        try {
+            const current = (await users.get(userId)) || {};
+
+            const update = {
+                dailyGoals: normalizeGoals({ ...current.dailyGoals, ...goals }),
+                ...(timezone !== undefined ? { timezone } : {})
+            };
+
+            await users.update(userId, update);
+            res.json({ success: true, ...update });
+        } catch (error) {
+            logger.error("Error updating daily goals", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== GET STATS =====
+    const getStats = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+        const bucket = requestData.bucket;
+
+        try {
+            const profile = await users.get(userId);
+
+            const result = await stats.getStats(userId, language, {
+                bucket,
+                days: requestData.days || (bucket === 'week' ? 84 : 30),
+                timeZone: resolveTimeZone(profile, requestData.timezone)
+            });
+
+            res.json(result);
+        } catch (error) {
+            logger.error("Error fetching stats", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== GET USAGE =====
+    // Tier, limits and today's requests / tokens, plus the last `days` UTC days
+    const getUsage = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+
+        try {
+            const usage = await usageTracker.getUsage(userId, { days: requestData.days });
+            res.json(usage);
+        } catch (error) {
+            logger.error("Error fetching usage", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    return {
+        updateProfile,
+        getActivity,
+        setDailyGoals,
+        getStats,
+        getUsage
+    };
+};
+
+module.exports = {
+    createProfileHandlers
+};
@@ -0,0 +1,58 @@
+// Quizzes over review words; graded answers become SRS reviews
+const createQuizHandlers = ({ users, languages, quiz, logger }) => {
+    // ===== QUIZ =====
+    const generateQuiz = async (req, res) => {
+        const requestData = req.body;
+        const { userId, words } = requestData;
+        const language = requestData.language;
+        const types = requestData.types;
+
+        try {
+            const profile = await users.get(userId);
+            const nativeLanguage = (profile && profile.nativeLanguage) || languages.defaultNative;
+
+            // Words are usually the /getDailyWords selection
+            const generated = await quiz.generate(userId, language, {
+                words: words.map(w => (typeof w === 'object' && w ? w.word : w)),
+                nativeLanguage,
+                types
+            });
+
+            if (!generated) {
+                return res.status(400).json({ error: "No exercises could be built for these words" });
+            }
+
+            res.json(generated);
+        } catch (error) {
+            logger.error("Error generating quiz", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    const gradeQuiz = async (req, res) => {
+        const requestData = req.body;
+        const { userId, quizId, answers } = requestData;
+
+        try {
+            const graded = await quiz.grade(userId, quizId, answers);
+
+            if (!graded) {
+                return res.status(404).json({ error: "Quiz not found" });
+            }
+
+            res.json(graded);
+        } catch (error) {
+            logger.error("Error grading quiz", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    return {
+        generateQuiz,
+        gradeQuiz
+    };
+};
+
+module.exports = {
+    createQuizHandlers
+};
@@ -0,0 +1,202 @@
+const { decodeAudio } = require('../stt');
+const { resolveVoice } = require('../tts');
+
+// Text-to-speech, speech-to-text, pronunciation scoring and voice chat
+const createSpeechHandlers = ({
+    users,
+    userWords,
+    languages,
+    llm,
+    vocabularyBank,
+    phoneticsStore,
+    chatService,
+    speechRecognizer,
+    speechSynthesizer,
+    pronunciationCoach,
+    logger
+}) => {
+    // ===== SPEAK (Text-to-Speech) =====
+    const speak = async (req, res) => {
+        const requestData = req.body;
+        const { text, ssml, gender, accent, speed, wordByWord, sentencePause } = requestData;
+        const language = requestData.language;
+
+        try {
+            const target = languages.getTarget(language);
+            const { audio, cached } = await speechSynthesizer.speak(target.tts, {
+                text,
+                ssml,
+                gender,
+                accent,
+                speed,
+                wordByWord,
+                sentencePause
+            });
+
+            res.set('Content-Type', 'audio/mpeg');
+            res.set('X-TTS-Cache', cached ? 'hit' : 'miss');
+            res.send(audio);
+
+        } catch (error) {
+            logger.error("Google TTS Error", error);
+            res.status(error.status || 500).json({ error: "Google TTS Failed: " + error.message });
+        }
+    };
+
+    // ===== GET WORD AUDIO =====
+    const getWordAudio = async (req, res) => {
+        const requestData = req.body;
+        const { userId, word, gender, accent, speed } = requestData;
+        const language = requestData.language;
+
+        try {
+            // Vocabulary words first, then the learner's personal words
+            const pool = await vocabularyBank.getPool(language);
+            let entry = pool.find(w => w.word.toLowerCase() === word.toLowerCase());
+            if (!entry) {
+                entry = await userWords.get(userId, language, word);
+            }
+
+            if (!entry) {
+                return res.status(404).json({ error: "Unknown word" });
+            }
+
+            const [withPronunciation] = await phoneticsStore.fill(language, [entry]);
+            const target = languages.getTarget(language);
+            const voice = { gender, accent, speed };
+
+            const [wordSpeech, exampleSpeech] = await Promise.all([
+                speechSynthesizer.speak(target.tts, { ...voice, text: entry.word }),
+                entry.example ? speechSynthesizer.speak(target.tts, { ...voice, text: entry.example }) : null
+            ]);
+
+            res.json({
+                word: entry.word,
+                pronunciation: withPronunciation.pronunciation || null,
+                example: entry.example || null,
+                mimeType: 'audio/mpeg',
+                audio: {
+                    word: wordSpeech.audio.toString('base64'),
+                    example: exampleSpeech ? exampleSpeech.audio.toString('base64') : null
+                }
+            });
+        } catch (error) {
+            logger.error("Error getting word audio", error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    // ===== TRANSCRIBE (Speech-to-Text) =====
+    const transcribe = async (req, res) => {
+        const requestData = req.body;
+        const language = requestData.language;
+
+        try {
+            const { audio, format } = decodeAudio(requestData);
+            const transcript = await speechRecognizer.transcribe({
+                audio,
+                format,
+                locale: languages.getTarget(language).tts.languageCode
+            });
+
+            res.json({ transcript, language, format });
+        } catch (error) {
+            logger.error("Error transcribing audio", error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    // ===== SCORE PRONUNCIATION =====
+    const scorePronunciation = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const expected = requestData.expected;
+        const language = requestData.language;
+
+        try {
+            const { audio, format } = decodeAudio(requestData);
+            const transcript = await speechRecognizer.transcribe({
+                audio,
+                format,
+                locale: languages.getTarget(language).tts.languageCode
+            });
+
+            const profile = await users.get(userId);
+            const nativeLanguage = (profile && profile.nativeLanguage) || languages.defaultNative;
+
+            const result = await pronunciationCoach.score({ language, expected, transcript, nativeLanguage });
+            res.json({ expected, transcript, ...result });
+        } catch (error) {
+            logger.error("Error scoring pronunciation", error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    // ===== VOICE CHAT (STT -> chat -> TTS) =====
+    const voiceChat = async (req, res) => {
+        const requestData = req.body;
+        const { userId, mode, activeLesson, gender, accent, speed } = requestData;
+        const language = requestData.language;
+
+        try {
+            // Voice options are checked before any work is done
+            const target = languages.getTarget(language);
+            resolveVoice(target.tts, { gender, accent });
+
+            const { audio, format } = decodeAudio(requestData);
+            const transcript = await speechRecognizer.transcribe({
+                audio,
+                format,
+                locale: target.tts.languageCode
+            });
+
+            if (!transcript) {
+                return res.status(422).json({ error: "No speech recognized" });
+            }
+
+            logger.log(`[VoiceChat] Request from ${userId}: ${transcript}`);
+
+            // Same prompts and history as /chat; the user turn is stored as its transcript
+            const { task, messages, saveExchange } = await chatService.prepare(userId, language, {
+                message: transcript,
+                mode,
+                activeLesson,
+                input: 'voice'
+            });
+
+            const completion = await llm.complete(task, { messages });
+            const aiResponse = completion.text;
+            await saveExchange(aiResponse);
+
+            // The text reply is still useful when synthesis fails
+            let speech = null;
+            try {
+                speech = await speechSynthesizer.speak(target.tts, { text: aiResponse, gender, accent, speed });
+            } catch (error) {
+                logger.error("Voice chat TTS failed", error);
+            }
+
+            res.json({
+                transcript,
+                response: aiResponse,
+                audio: speech ? speech.audio.toString('base64') : null,
+                audioMimeType: speech ? 'audio/mpeg' : null
+            });
+        } catch (error) {
+            logger.error("Error processing voice chat", error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    return {
+        speak,
+        getWordAudio,
+        transcribe,
+        scorePronunciation,
+        voiceChat
+    };
+};
+
+module.exports = {
+    createSpeechHandlers
+};
@@ -0,0 +1,59 @@
+// LLM translation of texts and single words
+const createTranslateHandlers = ({ languages, llm, logger }) => {
+    // ===== TRANSLATE =====
+    const translate = async (req, res) => {
+        const requestData = req.body;
+        const text = requestData.text;
+        const targetLang = requestData.targetLang;
+        const targetName = languages.languageName(targetLang);
+
+        try {
+            const prompt = `You are a professional translator. Translate the following text to ${targetName}. Preserve all markdown formatting (bold, italics, etc). Do not add any conversational filler, just the translation.
+Text:
+${text}`;
+
+            const completion = await llm.complete('translate', {
+                messages: [{ role: 'user', content: prompt }],
+            });
+
+            const translatedText = completion.text;
+            res.json({ translation: translatedText });
+
+        } catch (error) {
+            logger.error("Error translating:", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== TRANSLATE WORD =====
+    const translateWord = async (req, res) => {
+        const requestData = req.body;
+        const text = requestData.text;
+        const targetLang = requestData.targetLang;
+        const targetName = languages.languageName(targetLang);
+
+        try {
+            const prompt = `Translate the word or phrase "${text}" to ${targetName}. Return only the translation.`;
+
+            const completion = await llm.complete('translate', {
+                messages: [{ role: 'user', content: prompt }],
+            });
+
+            const translatedText = completion.text.trim();
+            res.json({ translation: translatedText });
+
+        } catch (error) {
+            logger.error("Error translating word", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    return {
+        translate,
+        translateWord
+    };
+};
+
+module.exports = {
+    createTranslateHandlers
+};
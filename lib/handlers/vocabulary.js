@@ -0,0 +1,72 @@
+const { normalizeLevel } = require('../placement');
+
+// Generated vocabulary and its admin review queue
+const createVocabularyHandlers = ({ vocabularyBank, logger }) => {
+    // ===== VOCABULARY EXPANSION =====
+    const generateVocabulary = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+        const topic = requestData.topic;
+        const level = normalizeLevel(requestData.level);
+
+        try {
+            // New entries wait in the review queue until an admin approves them
+            const result = await vocabularyBank.generate({
+                language,
+                topic,
+                level,
+                count: requestData.count,
+                userId
+            });
+
+            res.json(result);
+        } catch (error) {
+            logger.error("Error generating vocabulary", error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    const getVocabularyQueue = async (req, res) => {
+        const requestData = req.body;
+        const language = requestData.language;
+        const status = requestData.status;
+
+        try {
+            res.json({ entries: await vocabularyBank.list(language, status) });
+        } catch (error) {
+            logger.error("Error fetching vocabulary queue", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    const reviewVocabulary = async (req, res) => {
+        const requestData = req.body;
+        const { userId, words, action } = requestData;
+        const language = requestData.language;
+
+        try {
+            const updated = await vocabularyBank.review({
+                language,
+                words,
+                approve: action === 'approve',
+                userId
+            });
+
+            res.json({ success: true, updated });
+        } catch (error) {
+            logger.error("Error reviewing vocabulary", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    return {
+        generateVocabulary,
+        getVocabularyQueue,
+        reviewVocabulary
+    };
+};
+
+module.exports = {
+    createVocabularyHandlers
+};
@@ -0,0 +1,287 @@
+const { normalizeGrade, isDue, byDueDate } = require('../srs');
+const { describeCard } = require('../reviews');
+const { resolveLevel, levelDistance } = require('../placement');
+const { resolveTimeZone, localDate } = require('../activity');
+
+// Daily words and the learner's SRS cards (userWords repository)
+const createWordHandlers = ({
+    users,
+    userWords,
+    dailyWords,
+    languages,
+    activity,
+    vocabularyBank,
+    wordReviews,
+    phoneticsStore,
+    logger
+}) => {
+    // ===== GET DAILY WORDS =====
+    const getDailyWords = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            const vocabulary = await vocabularyBank.getPool(language);
+
+            const userProfile = await users.get(userId);
+            const nativeLanguage = userProfile?.nativeLanguage || languages.defaultNative;
+            const localize = (w) => languages.localizeWord(w, nativeLanguage);
+
+            // New words closest to the learner's CEFR level come first
+            const userLevel = resolveLevel(userProfile, language);
+            const byLevel = (a, b) => levelDistance(a.level, userLevel) - levelDistance(b.level, userLevel);
+
+            // 1. Fetch User's Word History
+            const userCards = await userWords.list(userId, language);
+            const userWordsMap = new Map();
+            const categories = {
+                new: [],
+                learning: [],
+                weak: [],
+                known: []
+            };
+
+            userCards.forEach(data => {
+                userWordsMap.set(data.word, data);
+                if (data.status) {
+                    if (categories[data.status]) {
+                        categories[data.status].push(data);
+                    } else {
+                        categories.learning.push(data);
+                    }
+                }
+            });
+
+            // --- TOPIC MODE LOGIC ---
+            const topic = requestData.topic ? requestData.topic.toLowerCase() : null;
+            if (topic) {
+                const topicWords = vocabulary.filter(w => w.tags && w.tags.includes(topic));
+
+                const now = new Date();
+
+                const topicNew = [];
+                const topicDue = [];
+                const topicNotDue = [];
+
+                topicWords.forEach(w => {
+                    if (userWordsMap.has(w.word)) {
+                        const userData = userWordsMap.get(w.word);
+
+                        if (isDue(userData, now)) {
+                            topicDue.push(userData);
+                        } else {
+                            topicNotDue.push(userData);
+                        }
+                    } else {
+                        topicNew.push({ ...w, status: 'new', correct_streak: 0, wrong_count: 0 });
+                    }
+                });
+
+                const TARGET_COUNT = 8;
+                let selected = [];
+                const shuffle = (arr) => arr.sort(() => 0.5 - Math.random());
+
+                selected.push(...shuffle([...topicNew]).sort(byLevel));
+
+                if (selected.length < TARGET_COUNT) {
+                    const needed = TARGET_COUNT - selected.length;
+                    selected.push(...topicDue.sort(byDueDate).slice(0, needed));
+                }
+
+                if (selected.length < TARGET_COUNT) {
+                    const needed = TARGET_COUNT - selected.length;
+                    selected.push(...topicNotDue.sort(byDueDate).slice(0, needed));
+                }
+
+                selected = selected.slice(0, TARGET_COUNT);
+
+                res.json({
+                    words: (await phoneticsStore.fill(language, selected)).map(localize),
+                    stats: {
+                        streak: (await activity.getStreak(userId, userProfile)).current,
+                        totalLearned: categories.known.length
+                    }
+                });
+                return;
+            }
+            // --- END TOPIC MODE ---
+
+            const now = new Date();
+
+            // Cards whose due date has passed, most overdue first
+            const allCards = Object.values(categories).flat();
+            const dueReviews = allCards
+                .filter(w => isDue(w, now))
+                .sort(byDueDate);
+
+            const TARGET_COUNT = 8;
+            const MAX_REVIEWS = 4;
+
+            let selectedWords = [];
+
+            const shuffle = (arr) => arr.sort(() => 0.5 - Math.random());
+
+            selectedWords.push(...dueReviews.slice(0, MAX_REVIEWS));
+
+            const currentCount = selectedWords.length;
+            let neededNew = TARGET_COUNT - currentCount;
+            if (neededNew < 0) neededNew = 0;
+
+            const newWordsPool = vocabulary.filter(v => !userWordsMap.has(v.word));
+
+            // Random order within a level, nearest levels first
+            const shuffledNewPool = shuffle(newWordsPool).sort(byLevel);
+
+            const pickedNew = shuffledNewPool.slice(0, neededNew).map(v => ({
+                ...v,
+                status: 'new',
+                correct_streak: 0,
+                wrong_count: 0
+            }));
+
+            selectedWords.push(...pickedNew);
+
+            // More due reviews if the new pool ran dry
+            if (selectedWords.length < TARGET_COUNT) {
+                const needed = TARGET_COUNT - selectedWords.length;
+                selectedWords.push(...dueReviews.slice(MAX_REVIEWS, MAX_REVIEWS + needed));
+            }
+
+            // Last resort: cards that are not due yet, soonest first
+            if (selectedWords.length < TARGET_COUNT) {
+                const needed = TARGET_COUNT - selectedWords.length;
+                const notDue = allCards
+                    .filter(w => !isDue(w, now))
+                    .sort(byDueDate);
+                selectedWords.push(...notDue.slice(0, needed));
+            }
+
+            res.json({
+                words: (await phoneticsStore.fill(language, shuffle(selectedWords))).map(localize),
+                stats: {
+                    totalKnown: categories.known.length,
+                    totalLearning: categories.learning.length,
+                    totalWeak: categories.weak.length,
+                    totalDue: dueReviews.length
+                }
+            });
+
+        } catch (error) {
+            logger.error("Error generating daily words", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== UPDATE WORD STATUS =====
+    const updateWordStatus = async (req, res) => {
+        const requestData = req.body;
+        const { userId, word, grade: rawGrade, isCorrect, language } = requestData;
+        const grade = normalizeGrade(rawGrade, isCorrect);
+
+        try {
+            const card = await wordReviews.record(userId, language, word, grade);
+            res.json({ success: true, card: describeCard(card) });
+        } catch (e) {
+            logger.error("Update word status failed", e);
+            res.status(500).json({ error: e.message });
+        }
+    };
+
+    // ===== MARK DAILY MASTERED =====
+    const markDailyMastered = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            // Default to the learner's local day, as the activity calendar reads it
+            const date = requestData.date || localDate(new Date(), resolveTimeZone(await users.get(userId)));
+            await dailyWords.markMastered(userId, language, date);
+
+            res.json({ success: true });
+
+        } catch (error) {
+            logger.error("Error marking daily words as mastered", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== GET WORD HISTORY =====
+    const getWordHistory = async (req, res) => {
+        const requestData = req.body;
+        const userId = requestData.userId;
+        const language = requestData.language;
+
+        try {
+            const cards = await userWords.list(userId, language);
+
+            const history = {
+                known: [],
+                learning: [],
+                weak: []
+            };
+
+            cards.forEach(data => {
+                const status = data.status || 'learning';
+
+                if (history[status]) {
+                    history[status].push(data);
+                } else if (status === 'new') {
+                    history.learning.push(data);
+                }
+            });
+
+            const sortFn = (a, b) => (b.last_seen?._seconds || 0) - (a.last_seen?._seconds || 0);
+            history.known.sort(sortFn);
+            history.learning.sort(sortFn);
+            history.weak.sort(sortFn);
+
+            res.json({ history });
+
+        } catch (error) {
+            logger.error("Error fetching word history", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ===== ADD USER WORD =====
+    const addUserWord = async (req, res) => {
+        const requestData = req.body;
+        const { userId, word, language, source, context } = requestData;
+
+        try {
+            const profile = await users.get(userId);
+            const nativeLanguage = (profile && profile.nativeLanguage) || languages.defaultNative;
+
+            // Definition, example, level and translation come from the LLM unless the word is known
+            const { created, card } = await wordReviews.addWord(userId, language, {
+                word,
+                source,
+                context: context || null,
+                nativeLanguage
+            });
+
+            if (!card) {
+                return res.status(502).json({ error: "Could not describe this word, try again" });
+            }
+
+            res.json({ success: true, created, word: languages.localizeWord(card, nativeLanguage) });
+        } catch (error) {
+            logger.error("Error adding user word", error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    return {
+        getDailyWords,
+        updateWordStatus,
+        markDailyMastered,
+        getWordHistory,
+        addUserWord
+    };
+};
+
+module.exports = {
+    createWordHandlers
+};
@@ -0,0 +1,88 @@
+const path = require('path');
+const { validateVocabulary, validateGrammar, validatePlacement } = require('./datasets');
+
+// Language registry (data/languages.json)
+// target: languages we tutor  -> name, tutorRole, tts voices, data files
+//                                (data/{code}/vocabulary.json, data/{code}/grammar.json,
+//                                data/{code}/placement.json),
+//                                optional historyCollection (default messages_{code})
+// native: learners' languages -> name (used for translations and explanations)
+// Adding a language is a data change: a new entry here plus its data files.
+// Datasets are loaded and validated up front; invalid data throws.
+
+const createLanguageRegistry = ({ config, dataDir = path.join(__dirname, '..', 'data') }) => {
+    const nativeCodes = Object.keys(config.native);
+    const datasets = new Map();
+    const errors = [];
+
+    Object.entries(config.target).forEach(([code, target]) => {
+        const vocabulary = target.vocabulary ? require(path.join(dataDir, target.vocabulary)) : [];
+        const grammar = target.grammar ? require(path.join(dataDir, target.grammar)) : [];
+        const placement = target.placement ? require(path.join(dataDir, target.placement)) : [];
+
+        errors.push(
+            ...validateVocabulary(vocabulary, { source: target.vocabulary, nativeCodes }),
+            ...validateGrammar(grammar, { source: target.grammar }),
+            ...validatePlacement(placement, { source: target.placement })
+        );
+        datasets.set(code, { vocabulary, grammar, placement });
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid language datasets:\n${errors.join('\n')}`);
+    }
+
+    const isTarget = (code) => Object.prototype.hasOwnProperty.call(config.target, code);
+    const isNative = (code) => Object.prototype.hasOwnProperty.call(config.native, code);
+
+    const getTarget = (code) => (isTarget(code) ? { code, ...config.target[code] } : null);
+    const getNative = (code) => (isNative(code) ? { code, ...config.native[code] } : null);
+
+    // Any known language (native or target) -> display name, null if unknown
+    const languageName = (code) => {
+        if (isNative(code)) return config.native[code].name;
+        if (isTarget(code)) return config.target[code].name;
+        return null;
+    };
+
+    // dialogs/{userId}/messages for the default language, messages_{code} otherwise
+    const historyPath = (userId, code) => {
+        const target = config.target[code] || {};
+        return `dialogs/${userId}/${target.historyCollection || `messages_${code}`}`;
+    };
+
+    // { vocabulary, grammar, placement } arrays for a target language
+    const getData = (code) => {
+        if (!datasets.has(code)) throw new Error(`Unsupported language: ${code}`);
+        return datasets.get(code);
+    };
+
+    // Vocabulary entry -> card with a single `translation` in the learner's
+    // native language (falls back to the default native, then any translation)
+    const localizeWord = (entry, nativeCode) => {
+        if (!entry.translations) return entry;
+        const translation = entry.translations[nativeCode]
+            || entry.translations[config.defaultNative]
+            || Object.values(entry.translations)[0];
+        return { ...entry, translation };
+    };
+
+    return {
+        defaultTarget: config.defaultTarget,
+        defaultNative: config.defaultNative,
+        targetCodes: Object.keys(config.target),
+        nativeCodes,
+        isTarget,
+        isNative,
+        getTarget,
+        getNative,
+        languageName,
+        historyPath,
+        getData,
+        localizeWord
+    };
+};
+
+module.exports = {
+    createLanguageRegistry
+};
@@ -0,0 +1,132 @@
+// Lesson curriculum (data/lessons.json)
+// { [language]: { [CEFR level]: [lesson, ...] } }, lessons are taken in
+// level order (A1 -> C2) then file order. Each lesson has:
+//   id, title, topic, objectives[{ id, text }], vocabulary[word],
+//   grammar[pill id], completion { minObjectivesMet, minStudentMessages }
+// Unknown vocabulary words or grammar pills fail at startup.
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// getData(language) -> { vocabulary, grammar } of that target language
+const createCurriculum = ({ lessons, getData }) => {
+    const vocabByWord = {};
+    const pillsById = {};
+    const problems = [];
+
+    // Flatten each language into an ordered sequence tagged with its level
+    const sequences = {};
+    Object.keys(lessons).forEach(language => {
+        const byLevel = lessons[language];
+        const { vocabulary, grammar } = getData(language);
+        vocabByWord[language] = new Map(vocabulary.map(v => [v.word, v]));
+        pillsById[language] = new Map(grammar.map(p => [p.id, p]));
+        sequences[language] = [];
+        CEFR_LEVELS.forEach(level => {
+            (byLevel[level] || []).forEach(lesson => {
+                lesson.vocabulary.forEach(word => {
+                    if (!vocabByWord[language].has(word)) {
+                        problems.push(`${language}/${lesson.id}: unknown vocabulary word "${word}"`);
+                    }
+                });
+                lesson.grammar.forEach(pillId => {
+                    if (!pillsById[language].has(pillId)) {
+                        problems.push(`${language}/${lesson.id}: unknown grammar pill "${pillId}"`);
+                    }
+                });
+                sequences[language].push({ ...lesson, language, level });
+            });
+        });
+    });
+
+    // Lessons must only reference words and pills of their language's dataset
+    if (problems.length > 0) {
+        throw new Error(`Invalid lessons.json:\n${problems.join('\n')}`);
+    }
+
+    const getLessons = (language, level) => {
+        const sequence = sequences[language] || [];
+        return level ? sequence.filter(l => l.level === level) : sequence;
+    };
+
+    const findLesson = (language, lessonId) =>
+        getLessons(language).find(l => l.id === lessonId) || null;
+
+    // Unknown ids start from the beginning of the language's curriculum
+    const resolveLesson = (language, lessonId) =>
+        findLesson(language, lessonId) || getLessons(language)[0] || null;
+
+    const getNextLesson = (language, lessonId) => {
+        const sequence = getLessons(language);
+        const index = sequence.findIndex(l => l.id === lessonId);
+        return index >= 0 && index < sequence.length - 1 ? sequence[index + 1] : null;
+    };
+
+    // Lesson with vocabulary entries and grammar pill summaries expanded for clients
+    const describeLesson = (lesson) => ({
+        id: lesson.id,
+        language: lesson.language,
+        title: lesson.title,
+        level: lesson.level,
+        topic: lesson.topic,
+        objectives: lesson.objectives,
+        vocabulary: lesson.vocabulary
+            .map(word => vocabByWord[lesson.language].get(word))
+            .filter(Boolean),
+        grammar: lesson.grammar
+            .map(pillId => pillsById[lesson.language].get(pillId))
+            .filter(Boolean)
+            .map(p => ({ id: p.id, title: p.title, icon: p.icon, description: p.description })),
+        completion: lesson.completion
+    });
+
+    // "Current Lesson" block of the lesson-mode system prompt
+    const buildLessonPrompt = (lesson) => {
+        if (!lesson) return "General Lesson";
+
+        const lines = [
+            `${lesson.title} (${lesson.level}). TOPIC: ${lesson.topic}`,
+            `Objectives (guide the student through each one):`,
+            ...lesson.objectives.map(o => `- ${o.text}`)
+        ];
+
+        if (lesson.vocabulary.length > 0) {
+            lines.push(`Target vocabulary (use and practise these words): ${lesson.vocabulary.join(', ')}`);
+        }
+
+        const pills = lesson.grammar.map(pillId => pillsById[lesson.language].get(pillId)).filter(Boolean);
+        if (pills.length > 0) {
+            lines.push(`Related grammar: ${pills.map(p => `${p.title} (${p.description})`).join('; ')}`);
+        }
+
+        return lines.join('\n');
+    };
+
+    // objectivesMet: objective ids the summarizer judged as achieved
+    const evaluateCompletion = (lesson, objectivesMet, studentMessages) => {
+        const validIds = new Set(lesson.objectives.map(o => o.id));
+        const met = Array.isArray(objectivesMet)
+            ? [...new Set(objectivesMet.map(String))].filter(id => validIds.has(id))
+            : [];
+        const { minObjectivesMet = lesson.objectives.length, minStudentMessages = 0 } = lesson.completion || {};
+
+        return {
+            objectivesMet: met,
+            completed: met.length >= minObjectivesMet && studentMessages >= minStudentMessages
+        };
+    };
+
+    return {
+        getLessons,
+        findLesson,
+        resolveLesson,
+        getNextLesson,
+        describeLesson,
+        buildLessonPrompt,
+        evaluateCompletion
+    };
+};
+
+module.exports = {
+    CEFR_LEVELS,
+    createCurriculum
+};
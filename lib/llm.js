@@ -0,0 +1,277 @@
+const OpenAI = require("openai");
+
+// LLM provider layer
+// Routes each task (chat, fixme, summarize, translate, vision, generate) to a configured
+// model, falls back to the next model on 429/5xx/timeouts, and lets the whole
+// API run against a local fake provider (LLM_PROVIDER=fake) with no network.
+//
+// Provider interface:
+//   complete({ model, messages, responseFormat, signal }) -> { text, usage }
+//   stream({ model, messages, signal, onUsage })          -> async iterable of text deltas,
+//                                                            onUsage(usage) once the stream ends
+//
+// Token usage of every successful call is reported to createLLM's onUsage({ task, model, usage }).
+
+const DEFAULT_MODEL = "google/gemini-2.0-flash-001";
+const DEFAULT_FALLBACK_MODEL = "openai/gpt-4o-mini";
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const TASKS = ['chat', 'fixme', 'summarize', 'translate', 'vision', 'generate'];
+
+// Per-task routing. Override with AI_MODEL_<TASK> / AI_FALLBACK_MODEL_<TASK>
+// (comma separated fallbacks), or globally with AI_MODEL / AI_FALLBACK_MODEL.
+const loadModelConfig = (env = process.env) => {
+    const config = {};
+    TASKS.forEach(task => {
+        const key = task.toUpperCase();
+        const primary = env[`AI_MODEL_${key}`] || env.AI_MODEL || DEFAULT_MODEL;
+        const fallbacks = (env[`AI_FALLBACK_MODEL_${key}`] || env.AI_FALLBACK_MODEL || DEFAULT_FALLBACK_MODEL)
+            .split(',')
+            .map(m => m.trim())
+            .filter(m => m && m !== primary);
+        config[task] = [primary, ...fallbacks];
+    });
+    return config;
+};
+
+// --- Providers ---
+
+const createOpenRouterProvider = ({ apiKey }) => {
+    const client = new OpenAI({
+        baseURL: "https://openrouter.ai/api/v1",
+        apiKey,
+        maxRetries: 0, // retries/fallbacks are handled by createLLM
+        defaultHeaders: {
+            "HTTP-Referer": "https://linguamentor-d432c.web.app",
+            "X-Title": "LinguaMentor"
+        }
+    });
+
+    return {
+        name: 'openrouter',
+
+        async complete({ model, messages, responseFormat, signal }) {
+            const completion = await client.chat.completions.create({
+                model,
+                messages,
+                ...(responseFormat ? { response_format: responseFormat } : {})
+            }, { signal });
+
+            return {
+                text: completion.choices[0].message.content,
+                usage: completion.usage || null
+            };
+        },
+
+        async stream({ model, messages, signal, onUsage }) {
+            const stream = await client.chat.completions.create({
+                model,
+                messages,
+                stream: true,
+                stream_options: { include_usage: true }
+            }, { signal });
+
+            return (async function* () {
+                for await (const chunk of stream) {
+                    const delta = chunk.choices?.[0]?.delta?.content;
+                    if (delta) yield delta;
+                    // With include_usage the last chunk carries the totals
+                    if (chunk.usage && onUsage) onUsage(chunk.usage);
+                }
+            })();
+        }
+    };
+};
+
+// Deterministic offline provider. `reply(request)` may return a string to
+// customise answers; by default JSON tasks get "{}" and everything else
+// echoes the last user message.
+const createFakeProvider = ({ reply } = {}) => {
+    const lastUserText = (messages) => {
+        const last = [...messages].reverse().find(m => m.role === 'user');
+        if (!last) return '';
+        if (typeof last.content === 'string') return last.content;
+        return last.content.filter(p => p.type === 'text').map(p => p.text).join(' ');
+    };
+
+    const answer = (request) => {
+        const custom = reply ? reply(request) : undefined;
+        if (typeof custom === 'string') return custom;
+        if (request.responseFormat && request.responseFormat.type === 'json_object') return '{}';
+        return `[${request.model}] ${lastUserText(request.messages)}`;
+    };
+
+    return {
+        name: 'fake',
+        calls: [],
+
+        async complete(request) {
+            this.calls.push(request);
+            const text = answer(request);
+            return {
+                text,
+                usage: { prompt_tokens: 0, completion_tokens: text.length, total_tokens: text.length }
+            };
+        },
+
+        async stream(request) {
+            this.calls.push(request);
+            const words = answer(request).split(/(?<= )/);
+            return (async function* () {
+                for (const word of words) {
+                    if (request.signal && request.signal.aborted) {
+                        const error = new Error("Request was aborted.");
+                        error.name = 'AbortError';
+                        throw error;
+                    }
+                    yield word;
+                }
+                const length = words.join('').length;
+                if (request.onUsage) request.onUsage({ prompt_tokens: 0, completion_tokens: length, total_tokens: length });
+            })();
+        }
+    };
+};
+
+// --- Router ---
+
+const isRetryable = (error) => {
+    if (error.code === 'LLM_TIMEOUT') return true;
+    const status = error.status || error.statusCode;
+    if (!status) return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+    return status === 429 || status >= 500;
+};
+
+// Runs fn(signal) with a timeout, also honouring an outer (client) abort signal
+const withTimeout = async (fn, timeoutMs, outerSignal) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    const onOuterAbort = () => controller.abort();
+    if (outerSignal) outerSignal.addEventListener('abort', onOuterAbort);
+
+    try {
+        return await fn(controller.signal);
+    } catch (error) {
+        if (timedOut) {
+            const timeoutError = new Error(`LLM call timed out after ${timeoutMs}ms`);
+            timeoutError.code = 'LLM_TIMEOUT';
+            timeoutError.status = 504;
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (outerSignal) outerSignal.removeEventListener('abort', onOuterAbort);
+    }
+};
+
+// onUsage({ task, model, usage }): called with the provider's token usage after each
+// successful completion and at the end of each stream; errors in it are logged only
+const createLLM = ({ provider, models = loadModelConfig(), timeoutMs = DEFAULT_TIMEOUT_MS, onUsage = null, logger = console }) => {
+    const modelsFor = (task) => {
+        const chain = models[task];
+        if (!chain || chain.length === 0) throw new Error(`No model configured for task: ${task}`);
+        return chain;
+    };
+
+    const reportUsage = (task, model, usage) => {
+        if (!onUsage || !usage) return;
+        Promise.resolve()
+            .then(() => onUsage({ task, model, usage }))
+            .catch(error => logger.warn(`[LLM] usage reporting failed: ${error.message}`));
+    };
+
+    // Tries each model of the task's chain until one succeeds
+    const runWithFallback = async (task, signal, call) => {
+        const chain = modelsFor(task);
+        let lastError;
+
+        for (let i = 0; i < chain.length; i++) {
+            const model = chain[i];
+            try {
+                return await withTimeout((timeoutSignal) => call(model, timeoutSignal), timeoutMs, signal);
+            } catch (error) {
+                lastError = error;
+                if (signal && signal.aborted) throw error;
+                if (!isRetryable(error) || i === chain.length - 1) throw error;
+                logger.warn(`[LLM] ${task} via ${model} failed (${error.status || error.code || error.name}), falling back to ${chain[i + 1]}`);
+            }
+        }
+
+        throw lastError;
+    };
+
+    return {
+        provider,
+        models,
+
+        modelFor: (task) => modelsFor(task)[0],
+
+        // -> { text, model, usage }
+        async complete(task, { messages, responseFormat, signal } = {}) {
+            return runWithFallback(task, signal, async (model, timeoutSignal) => {
+                const result = await provider.complete({ model, messages, responseFormat, signal: timeoutSignal });
+                reportUsage(task, model, result.usage);
+                return { ...result, model };
+            });
+        },
+
+        // -> async iterable of text deltas. Fallback only applies until the
+        // stream is opened; the timeout covers the wait for the first token.
+        async stream(task, { messages, signal } = {}) {
+            return runWithFallback(task, signal, async (model, timeoutSignal) => {
+                // Outlives the timeout window so the client can still abort mid-stream
+                const attempt = new AbortController();
+                timeoutSignal.addEventListener('abort', () => attempt.abort());
+                if (signal) signal.addEventListener('abort', () => attempt.abort());
+
+                const iterable = await provider.stream({
+                    model,
+                    messages,
+                    signal: attempt.signal,
+                    onUsage: (usage) => reportUsage(task, model, usage)
+                });
+                const iterator = iterable[Symbol.asyncIterator]();
+                const first = await iterator.next();
+
+                return (async function* () {
+                    if (!first.done) yield first.value;
+                    while (true) {
+                        const next = await iterator.next();
+                        if (next.done) return;
+                        yield next.value;
+                    }
+                })();
+            });
+        }
+    };
+};
+
+// Picks the provider from LLM_PROVIDER (openrouter | fake)
+const createLLMFromEnv = ({ env = process.env, onUsage = null, logger = console } = {}) => {
+    const providerName = env.LLM_PROVIDER || 'openrouter';
+    const provider = providerName === 'fake'
+        ? createFakeProvider()
+        : createOpenRouterProvider({ apiKey: env.OPENROUTER_API_KEY });
+
+    return createLLM({
+        provider,
+        models: loadModelConfig(env),
+        timeoutMs: parseInt(env.AI_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+        onUsage,
+        logger
+    });
+};
+
+module.exports = {
+    TASKS,
+    loadModelConfig,
+    createOpenRouterProvider,
+    createFakeProvider,
+    createLLM,
+    createLLMFromEnv
+};
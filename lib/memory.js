@@ -0,0 +1,118 @@
+// Long-term conversation memory
+// /chat only sends the last HISTORY_WINDOW messages to the model. Older turns are
+// periodically compressed into a running summary plus learner facts, stored with
+// the dialogs (dialogs/{userId}/memory/{language}, lib/repositories.js):
+//   { summary, facts: { interests, recurringMistakes, personalDetails },
+//     summarizedUntil, messagesSummarized, updatedAt }
+
+const HISTORY_WINDOW = 20;
+const COMPRESS_BATCH = 20;   // compress once this many messages fell out of the window
+const MAX_FACTS = 15;
+
+const FACT_KEYS = ['interests', 'recurringMistakes', 'personalDetails'];
+
+const emptyMemory = () => ({
+    summary: '',
+    facts: { interests: [], recurringMistakes: [], personalDetails: [] },
+    summarizedUntil: null,
+    messagesSummarized: 0
+});
+
+const sanitizeFacts = (facts) => {
+    const clean = {};
+    FACT_KEYS.forEach(key => {
+        const list = facts && Array.isArray(facts[key]) ? facts[key] : [];
+        clean[key] = [...new Set(list.filter(f => typeof f === 'string' && f.trim()).map(f => f.trim()))]
+            .slice(0, MAX_FACTS);
+    });
+    return clean;
+};
+
+const createConversationMemory = ({ dialogs, llm, FieldValue, logger = console }) => {
+    const load = async (userId, language) => {
+        const stored = await dialogs.getMemory(userId, language);
+        return stored ? { ...emptyMemory(), ...stored } : emptyMemory();
+    };
+
+    // Forget summary and facts; older messages are not re-compressed afterwards
+    const clear = (userId, language) => dialogs.setMemory(userId, language, {
+        ...emptyMemory(),
+        summarizedUntil: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+    });
+
+    // Block injected into the system prompt next to the student profile
+    const formatForPrompt = (memory) => {
+        if (!memory || (!memory.summary && FACT_KEYS.every(k => !memory.facts[k].length))) return '';
+
+        const lines = ['Long-term memory (from earlier conversations):'];
+        if (memory.summary) lines.push(`- Summary: ${memory.summary}`);
+        if (memory.facts.interests.length) lines.push(`- Interests: ${memory.facts.interests.join('; ')}`);
+        if (memory.facts.personalDetails.length) lines.push(`- Personal details: ${memory.facts.personalDetails.join('; ')}`);
+        if (memory.facts.recurringMistakes.length) lines.push(`- Recurring mistakes: ${memory.facts.recurringMistakes.join('; ')}`);
+        return lines.join('\n') + '\n';
+    };
+
+    // Compresses messages that fell out of the prompt window. Safe to call
+    // after every exchange: it is a no-op until COMPRESS_BATCH messages pile up.
+    const maybeCompress = async (userId, language) => {
+        const memory = await load(userId, language);
+
+        const pending = await dialogs.after(userId, language, memory.summarizedUntil, HISTORY_WINDOW + COMPRESS_BATCH * 2);
+
+        const toCompress = pending.slice(0, Math.max(0, pending.length - HISTORY_WINDOW));
+        if (toCompress.length < COMPRESS_BATCH) return null;
+
+        const excerpt = toCompress.map(msg =>
+            `${msg.role === 'user' ? 'Student' : 'Tutor'}: ${msg.text}`
+        ).join('\n');
+
+        const prompt = `You maintain long-term memory about a language learner and their tutor conversations.
+Existing summary:
+${memory.summary || '(none)'}
+Existing facts (JSON):
+${JSON.stringify(memory.facts)}
+
+New conversation excerpt:
+${excerpt}
+
+Update the memory and output JSON only.
+Format: { "summary": "...", "facts": { "interests": [...], "recurringMistakes": [...], "personalDetails": [...] } }
+Rules:
+1. "summary" is a running summary (max 150 words) of everything discussed so far.
+2. Facts are short phrases; merge duplicates, drop outdated ones, keep each list under ${MAX_FACTS} items.
+3. "recurringMistakes" lists language mistakes the student makes repeatedly.`;
+
+        const completion = await llm.complete('summarize', {
+            messages: [{ role: 'user', content: prompt }],
+            responseFormat: { type: "json_object" }
+        });
+
+        const updated = JSON.parse(completion.text);
+        const lastCompressed = toCompress[toCompress.length - 1];
+
+        const next = {
+            summary: typeof updated.summary === 'string' ? updated.summary.trim() : memory.summary,
+            facts: sanitizeFacts(updated.facts || memory.facts),
+            summarizedUntil: lastCompressed.createdAt,
+            messagesSummarized: (memory.messagesSummarized || 0) + toCompress.length,
+            updatedAt: FieldValue.serverTimestamp()
+        };
+
+        await dialogs.setMemory(userId, language, next, { merge: true });
+        logger.info(`[Memory] Compressed ${toCompress.length} messages for ${userId} (${language})`);
+        return next;
+    };
+
+    return {
+        load,
+        clear,
+        formatForPrompt,
+        maybeCompress
+    };
+};
+
+module.exports = {
+    HISTORY_WINDOW,
+    createConversationMemory
+};
@@ -0,0 +1,157 @@
+// Structured mistake tracking (personal error notebook)
+// Corrections from fixme / lesson / grammar chats are stored one per doc in
+// users/{userId}/mistakes_{language}:
+//   { original, corrected, category, explanation, language, source, createdAt }
+// /summarizeLesson only cleans up the mistakes in its lesson record: the same
+// turns were already captured when they were chatted.
+
+const CATEGORIES = [
+    'articles',
+    'prepositions',
+    'tense',
+    'word_order',
+    'agreement',
+    'vocabulary',
+    'spelling',
+    'punctuation',
+    'plurals',
+    'pronouns',
+    'other'
+];
+
+// Chat modes whose replies correct the student
+const TRACKED_MODES = ['fixme', 'lesson', 'grammar'];
+
+const RECENT_LIMIT = 200;
+const PROMPT_TOP_CATEGORIES = 3;
+
+const normalizeCategory = (category) => {
+    const key = String(category || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+    if (CATEGORIES.includes(key)) return key;
+    // Tolerate singular/plural and a few common synonyms
+    if (key === 'article') return 'articles';
+    if (key === 'preposition') return 'prepositions';
+    if (['tenses', 'verb_tense', 'verb_tenses'].includes(key)) return 'tense';
+    if (['subject_verb_agreement', 'gender'].includes(key)) return 'agreement';
+    if (['word_choice', 'lexical'].includes(key)) return 'vocabulary';
+    if (key === 'plural') return 'plurals';
+    if (key === 'pronoun') return 'pronouns';
+    return 'other';
+};
+
+// Drops malformed entries and normalizes the rest
+const sanitizeMistakes = (mistakes) => {
+    if (!Array.isArray(mistakes)) return [];
+    return mistakes
+        .filter(m => m && typeof m.original === 'string' && typeof m.corrected === 'string')
+        .map(m => ({
+            original: m.original.trim().slice(0, 500),
+            corrected: m.corrected.trim().slice(0, 500),
+            category: normalizeCategory(m.category),
+            explanation: typeof m.explanation === 'string' ? m.explanation.trim().slice(0, 500) : ''
+        }))
+        .filter(m => m.original && m.corrected && m.original !== m.corrected);
+};
+
+// [{ category, count, lastSeen, examples }] sorted by count desc
+const aggregateByCategory = (mistakes) => {
+    const byCategory = new Map();
+    mistakes.forEach(m => {
+        const entry = byCategory.get(m.category) || { category: m.category, count: 0, lastSeen: null, examples: [] };
+        entry.count += 1;
+        if (!entry.lastSeen) entry.lastSeen = m.createdAt || null;
+        if (entry.examples.length < 3) {
+            entry.examples.push({ original: m.original, corrected: m.corrected });
+        }
+        byCategory.set(m.category, entry);
+    });
+    return [...byCategory.values()].sort((a, b) => b.count - a.count);
+};
+
+const createMistakeTracker = ({ db, llm, FieldValue, logger = console }) => {
+    const collectionFor = (userId, language) =>
+        db.collection(`users/${userId}/mistakes_${language}`);
+
+    const record = async (userId, language, mistakes, source) => {
+        const clean = sanitizeMistakes(mistakes);
+        if (clean.length === 0) return [];
+
+        const batch = db.batch();
+        clean.forEach(m => {
+            batch.set(collectionFor(userId, language).doc(), {
+                ...m,
+                language,
+                source,
+                createdAt: FieldValue.serverTimestamp()
+            });
+        });
+        await batch.commit();
+        return clean;
+    };
+
+    // Asks the model to list the student's mistakes as structured records
+    const extract = async (studentText, tutorReply, langName) => {
+        const prompt = `A student learning ${langName} wrote:
+"""${studentText}"""
+The tutor replied:
+"""${tutorReply}"""
+
+List every ${langName} language mistake in the student's text. Output JSON only.
+Format: { "mistakes": [ { "original": "<wrong fragment>", "corrected": "<fixed fragment>", "category": "<one of: ${CATEGORIES.join(', ')}>", "explanation": "<one short sentence>" } ] }
+If there are no mistakes return { "mistakes": [] }.`;
+
+        const completion = await llm.complete('summarize', {
+            messages: [{ role: 'user', content: prompt }],
+            responseFormat: { type: "json_object" }
+        });
+
+        return sanitizeMistakes(JSON.parse(completion.text).mistakes);
+    };
+
+    const captureFromChat = async ({ userId, language, langName, mode, userMessage, aiResponse }) => {
+        if (!TRACKED_MODES.includes(mode)) return [];
+        const mistakes = await extract(userMessage, aiResponse, langName);
+        const saved = await record(userId, language, mistakes, mode);
+        if (saved.length > 0) {
+            logger.info(`[Mistakes] ${saved.length} recorded for ${userId} (${language}, ${mode})`);
+        }
+        return saved;
+    };
+
+    const getRecent = async (userId, language, limit = RECENT_LIMIT) => {
+        const snapshot = await collectionFor(userId, language)
+            .orderBy('createdAt', 'desc')
+            .limit(limit)
+            .get();
+
+        const mistakes = [];
+        snapshot.forEach(doc => mistakes.push({ id: doc.id, ...doc.data() }));
+        return mistakes;
+    };
+
+    // System prompt hint listing the learner's most frequent error categories
+    const formatForPrompt = (aggregates) => {
+        const top = aggregates
+            .filter(a => a.category !== 'other' && a.count >= 2)
+            .slice(0, PROMPT_TOP_CATEGORIES);
+        if (top.length === 0) return '';
+        return `- Recurring error categories: ${top.map(a => `${a.category.replace('_', ' ')} (${a.count})`).join(', ')}. Watch for these and correct them.\n`;
+    };
+
+    return {
+        record,
+        extract,
+        captureFromChat,
+        getRecent,
+        formatForPrompt
+    };
+};
+
+module.exports = {
+    CATEGORIES,
+    TRACKED_MODES,
+    normalizeCategory,
+    sanitizeMistakes,
+    aggregateByCategory,
+    createMistakeTracker
+};
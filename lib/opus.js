@@ -0,0 +1,198 @@
+// WebM (Matroska) Opus -> Ogg Opus remuxing, without re-encoding
+// Chrome's MediaRecorder records audio/webm;codecs=opus, while SpeechKit's
+// synchronous API only takes Ogg Opus. Both containers carry the same Opus
+// packets, so the packets are copied from the WebM blocks into Ogg pages
+// (RFC 7845): an OpusHead page, an OpusTags page, then the audio.
+
+const opusError = (status, message) => Object.assign(new Error(message), { status });
+
+// EBML ids (with their length marker, as written in the file)
+const EBML = {
+    segment: 0x18538067,
+    tracks: 0x1654ae6b,
+    trackEntry: 0xae,
+    trackNumber: 0xd7,
+    codecId: 0x86,
+    codecPrivate: 0x63a2,
+    cluster: 0x1f43b675,
+    blockGroup: 0xa0,
+    block: 0xa1,
+    simpleBlock: 0xa3
+};
+
+// Master elements whose children are read in place; everything else is skipped
+// or read as a value. Unknown-size Segments / Clusters (live MediaRecorder
+// output) need no special handling this way.
+const CONTAINERS = new Set([EBML.segment, EBML.tracks, EBML.trackEntry, EBML.cluster, EBML.blockGroup]);
+
+const MAX_PAGE_SEGMENTS = 255;
+const OGG_SERIAL = 0x4c4d4f70;
+const VENDOR = 'linguamentor';
+
+// EBML variable-length integer at `offset` -> { value, length }; the id form keeps the marker bit
+const readVint = (buffer, offset, keepMarker = false) => {
+    const first = buffer[offset];
+    if (first === undefined) return null;
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length += 1;
+    if (length > 8 || offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let unknown = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        if (buffer[offset + i] !== 0xff) unknown = false;
+    }
+    return { value, length, unknown: !keepMarker && unknown };
+};
+
+// -> { codecId, codecPrivate, packets: [Buffer] } of the first audio track's blocks
+const readWebm = (buffer) => {
+    const tracks = [];
+    const blocks = [];    // { track, data }
+    let track = null;
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        const id = readVint(buffer, offset, true);
+        const size = id && readVint(buffer, offset + id.length);
+        if (!id || !size) break;    // truncated tail of a recording: keep what was read
+        const start = offset + id.length + size.length;
+
+        if (CONTAINERS.has(id.value)) {
+            if (id.value === EBML.trackEntry) {
+                track = {};
+                tracks.push(track);
+            }
+            offset = start;
+            continue;
+        }
+        if (size.unknown) throw opusError(415, "Malformed webm audio");
+
+        const end = start + size.value;
+        const body = buffer.subarray(start, Math.min(end, buffer.length));
+        if (id.value === EBML.trackNumber && track) track.number = body.readUIntBE(0, body.length);
+        else if (id.value === EBML.codecId && track) track.codecId = body.toString('latin1');
+        else if (id.value === EBML.codecPrivate && track) track.codecPrivate = Buffer.from(body);
+        else if ((id.value === EBML.simpleBlock || id.value === EBML.block) && end <= buffer.length) {
+            const number = readVint(body, 0);
+            const flags = body[number.length + 2];
+            if (flags & 0x06) throw opusError(415, "Laced webm audio is not supported");
+            blocks.push({ track: number.value, data: Buffer.from(body.subarray(number.length + 3)) });
+        }
+        offset = end;
+    }
+
+    const audio = tracks.find(t => t.codecId === 'A_OPUS');
+    if (!audio) throw opusError(415, "webm audio must be Opus-encoded");
+
+    return {
+        codecPrivate: audio.codecPrivate,
+        packets: blocks.filter(b => b.track === audio.number && b.data.length > 0).map(b => b.data)
+    };
+};
+
+// Samples (at 48 kHz) in one Opus packet, from its TOC byte (RFC 6716, 3.1)
+const packetSamples = (packet) => {
+    const config = packet[0] >> 3;
+    let frameMs;
+    if (config < 12) frameMs = [10, 20, 40, 60][config % 4];
+    else if (config < 16) frameMs = [10, 20][config % 2];
+    else frameMs = [2.5, 5, 10, 20][config % 4];
+
+    const code = packet[0] & 0x03;
+    const frames = code === 0 ? 1 : code === 3 ? (packet[1] || 0) & 0x3f : 2;
+    return frameMs * 48 * frames;
+};
+
+// Ogg page CRC: polynomial 0x04c11db7, no reflection, zero initial value
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let r = n << 24;
+    for (let i = 0; i < 8; i++) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+    return r >>> 0;
+});
+
+const oggCrc = (buffer) => {
+    let crc = 0;
+    for (const byte of buffer) crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+    return crc;
+};
+
+// Lacing values of one packet: 255s then the remainder (0 for exact multiples)
+const lacingOf = (packet) => [...Array(Math.floor(packet.length / 255)).fill(255), packet.length % 255];
+
+const oggPage = ({ packets, granule, sequence, flags }) => {
+    const lacing = packets.flatMap(lacingOf);
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0, 'latin1');
+    header[4] = 0;
+    header[5] = flags;
+    header.writeBigInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(OGG_SERIAL, 14);
+    header.writeUInt32LE(sequence, 18);
+    header[26] = lacing.length;
+    lacing.forEach((value, i) => { header[27 + i] = value; });
+
+    const page = Buffer.concat([header, ...packets]);
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+};
+
+// OpusHead for recordings whose WebM track has no CodecPrivate: mono, 48 kHz
+const defaultOpusHead = () => {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'latin1');
+    head[8] = 1;
+    head[9] = 1;
+    head.writeUInt16LE(312, 10);
+    head.writeUInt32LE(48000, 12);
+    return head;
+};
+
+const opusTags = () => {
+    const tags = Buffer.alloc(8 + 4 + VENDOR.length + 4);
+    tags.write('OpusTags', 0, 'latin1');
+    tags.writeUInt32LE(VENDOR.length, 8);
+    tags.write(VENDOR, 12, 'latin1');
+    return tags;
+};
+
+// WebM Opus recording (Buffer) -> Ogg Opus file (Buffer)
+const webmToOggOpus = (webm) => {
+    const { codecPrivate, packets } = readWebm(webm);
+    if (packets.length === 0) throw opusError(415, "webm audio has no Opus packets");
+
+    const head = codecPrivate && codecPrivate.toString('latin1', 0, 8) === 'OpusHead' ? codecPrivate : defaultOpusHead();
+    const pages = [
+        oggPage({ packets: [head], granule: 0, sequence: 0, flags: 0x02 }),
+        oggPage({ packets: [opusTags()], granule: 0, sequence: 1, flags: 0 })
+    ];
+
+    // Audio packets fill pages up to 255 lacing values; a page's granule
+    // position is the sample count at the end of its last packet
+    let granule = 0;
+    let pagePackets = [];
+    let pageSegments = 0;
+    const flush = (last) => {
+        pages.push(oggPage({ packets: pagePackets, granule, sequence: pages.length, flags: last ? 0x04 : 0 }));
+        pagePackets = [];
+        pageSegments = 0;
+    };
+
+    packets.forEach((packet, i) => {
+        const segments = lacingOf(packet).length;
+        if (pageSegments + segments > MAX_PAGE_SEGMENTS) flush(false);
+        pagePackets.push(packet);
+        pageSegments += segments;
+        granule += packetSamples(packet);
+        if (i === packets.length - 1) flush(true);
+    });
+
+    return Buffer.concat(pages);
+};
+
+module.exports = {
+    packetSamples,
+    oggCrc,
+    webmToOggOpus
+};
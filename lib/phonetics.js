@@ -0,0 +1,118 @@
+// IPA transcriptions for vocabulary entries that lack `pronunciation`
+// Missing transcriptions are generated by the LLM ('generate' task) in one call per
+// batch and stored at vocabulary/{language}/phonetics/{entryId}:
+//   { word, pronunciation, createdAt }
+// so every word is transcribed once. Dataset and stored values win over generated ones.
+// Words the LLM answered unusably are stored as { word, pronunciation: null, retryAfter }
+// and failed calls are remembered in memory, so requests do not wait on the LLM
+// again for the same words until the retry time.
+
+const { entryId } = require('./vocabulary');
+const { normalizeIpa } = require('./datasets');
+
+const MAX_BATCH = 20;
+const UNUSABLE_RETRY_MS = 24 * 60 * 60 * 1000;
+const FAILED_RETRY_MS = 10 * 60 * 1000;
+
+const createPhoneticsStore = ({ db, llm, languages, FieldValue, logger = console }) => {
+    const phonetics = (language) => db.collection(`vocabulary/${language}/phonetics`);
+    const known = new Map();    // `${language}:${id}` -> pronunciation
+    const retryAt = new Map();  // `${language}:${id}` -> time (ms) before which a failed word is skipped
+
+    // words -> { [word]: ipa } for the words the LLM transcribed usably
+    const generate = async (language, words) => {
+        const target = languages.getTarget(language);
+        const prompt = `Give the IPA transcription of each ${target.name} word or phrase below, as a careful standard pronunciation.
+Words: ${words.map(w => `"${w}"`).join(', ')}
+Output JSON only.
+Format: { "pronunciations": { "word": "/IPA/" } }`;
+
+        const completion = await llm.complete('generate', {
+            messages: [{ role: 'user', content: prompt }],
+            responseFormat: { type: "json_object" }
+        });
+
+        let raw;
+        try {
+            raw = JSON.parse(completion.text).pronunciations;
+        } catch (e) {
+            raw = null;
+        }
+        if (!raw || typeof raw !== 'object') return {};
+
+        const byLowerWord = new Map(Object.entries(raw).map(([word, ipa]) => [word.trim().toLowerCase(), ipa]));
+        const result = {};
+        words.forEach(word => {
+            const ipa = normalizeIpa(byLowerWord.get(word.toLowerCase()));
+            if (ipa) result[word] = ipa;
+        });
+        return result;
+    };
+
+    // entries -> same entries, `pronunciation` filled in wherever it can be.
+    // Generation failures are logged; the entries are returned as they are.
+    const fill = async (language, entries) => {
+        const key = (id) => `${language}:${id}`;
+        const now = Date.now();
+        const pending = (id) => !known.has(key(id)) && !(retryAt.get(key(id)) > now);
+
+        const missing = entries.filter(e => e && e.word && !e.pronunciation);
+        const ids = [...new Set(missing.map(e => entryId(e.word)))];
+        const unknownIds = ids.filter(pending);
+
+        if (unknownIds.length > 0) {
+            const docs = await db.getAll(...unknownIds.map(id => phonetics(language).doc(id)));
+            docs.forEach(doc => {
+                if (!doc.exists) return;
+                const data = doc.data();
+                if (data.pronunciation) known.set(key(doc.id), data.pronunciation);
+                else if (data.retryAfter) retryAt.set(key(doc.id), data.retryAfter.toMillis());
+            });
+        }
+
+        const toGenerate = [...new Map(missing
+            .filter(e => pending(entryId(e.word)))
+            .map(e => [entryId(e.word), e.word.trim()])).values()];
+
+        for (let i = 0; i < toGenerate.length; i += MAX_BATCH) {
+            const words = toGenerate.slice(i, i + MAX_BATCH);
+            try {
+                const generated = await generate(language, words);
+                const retryAfter = new Date(Date.now() + UNUSABLE_RETRY_MS);
+                const batch = db.batch();
+                words.forEach(word => {
+                    const id = entryId(word);
+                    const pronunciation = generated[word] || null;
+                    if (pronunciation) known.set(key(id), pronunciation);
+                    else retryAt.set(key(id), retryAfter.getTime());
+                    batch.set(phonetics(language).doc(id), {
+                        word,
+                        pronunciation,
+                        createdAt: FieldValue.serverTimestamp(),
+                        ...(pronunciation ? {} : { retryAfter })
+                    });
+                });
+                await batch.commit();
+                logger.info(`[Phonetics] ${language}: transcribed ${Object.keys(generated).length}/${words.length} words`);
+            } catch (error) {
+                const retryAfter = Date.now() + FAILED_RETRY_MS;
+                words.forEach(word => retryAt.set(key(entryId(word)), retryAfter));
+                logger.warn(`[Phonetics] ${language}: transcription failed: ${error.message}`);
+            }
+        }
+
+        return entries.map(entry => {
+            if (!entry || !entry.word || entry.pronunciation) return entry;
+            const pronunciation = known.get(key(entryId(entry.word)));
+            return pronunciation ? { ...entry, pronunciation } : entry;
+        });
+    };
+
+    return {
+        fill
+    };
+};
+
+module.exports = {
+    createPhoneticsStore
+};
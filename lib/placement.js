@@ -0,0 +1,306 @@
+// Adaptive placement test -> CEFR level per target language
+// Questions alternate between vocabulary (pick the native-language translation of
+// a word from vocabulary.json) and grammar items (placement.json). The level goes
+// one step up after a correct answer and one step down after a wrong one; the
+// estimate is the highest level whose own questions were answered reliably.
+// Test state lives at users/{userId}/placement/{language}; correct answers and
+// question levels stay on the server (clients get opaque question ids).
+// The result is written to users/{userId}.levels.{language}.
+
+const crypto = require('crypto');
+
+const { CEFR_LEVELS } = require('./lessons');
+
+const MAX_QUESTIONS = 12;
+const MIN_ANSWERS = 6;          // answers needed before /finishPlacementTest (unless items run out)
+const OPTION_COUNT = 4;
+const DEFAULT_START_LEVEL = 'A2';
+const DEFAULT_LEVEL = 'B1';     // profiles without a test or a recognizable level
+const MIN_CORRECT = 2;          // a level counts as passed with at least this many...
+const PASS_RATIO = 0.6;         // ...correct answers at that level and this share of them correct
+
+// Free-text levels from older profiles ("Intermediate") -> CEFR
+const LEGACY_LEVELS = {
+    beginner: 'A1',
+    elementary: 'A2',
+    'pre-intermediate': 'A2',
+    intermediate: 'B1',
+    'upper-intermediate': 'B2',
+    advanced: 'C1',
+    proficient: 'C2'
+};
+
+const normalizeLevel = (level) => {
+    const key = String(level || '').trim();
+    if (CEFR_LEVELS.includes(key.toUpperCase())) return key.toUpperCase();
+    return LEGACY_LEVELS[key.toLowerCase().replace(/[\s_]+/g, '-')] || null;
+};
+
+// CEFR level used for word selection and prompts in one target language
+const resolveLevel = (profile, language) =>
+    normalizeLevel(profile?.levels?.[language]) || normalizeLevel(profile?.level) || DEFAULT_LEVEL;
+
+// Steps between two CEFR levels (unknown levels sort last)
+const levelDistance = (a, b) => {
+    const from = CEFR_LEVELS.indexOf(a);
+    const to = CEFR_LEVELS.indexOf(b);
+    return from < 0 || to < 0 ? CEFR_LEVELS.length : Math.abs(from - to);
+};
+
+const shuffle = (arr) => arr.sort(() => 0.5 - Math.random());
+
+// answers: [{ level, correct }] -> { level, breakdown: { [level]: { asked, correct } } }
+const estimateLevel = (answers) => {
+    const breakdown = {};
+    CEFR_LEVELS.forEach(level => { breakdown[level] = { asked: 0, correct: 0 }; });
+    answers.forEach(a => {
+        breakdown[a.level].asked += 1;
+        if (a.correct) breakdown[a.level].correct += 1;
+    });
+
+    // Each level is judged on its own answers: the adaptive walk keeps crossing
+    // the learner's ceiling, so wrong answers above it must not count against
+    // the levels below
+    const passed = CEFR_LEVELS.filter(level => {
+        const { asked, correct } = breakdown[level];
+        return correct >= MIN_CORRECT && correct / asked >= PASS_RATIO;
+    });
+    if (passed.length > 0) {
+        return { level: passed[passed.length - 1], breakdown };
+    }
+
+    // Too few answers at any one level: a correct answer at a harder level also
+    // counts for the easier ones, so more correct answers never lower the estimate
+    const reached = CEFR_LEVELS.filter((level, index) =>
+        CEFR_LEVELS.slice(index).reduce((sum, l) => sum + breakdown[l].correct, 0) >= MIN_CORRECT);
+
+    return {
+        level: reached.length > 0 ? reached[reached.length - 1] : CEFR_LEVELS[0],
+        breakdown
+    };
+};
+
+// Option index from a client answer: a number or an integer-like string
+// ("1" from form-encoded clients), otherwise the option text
+const chosenOption = (options, given) => {
+    if (typeof given === 'number') return given;
+    const text = String(given ?? '').trim();
+    return /^\d+$/.test(text) ? Number(text) : options.indexOf(text);
+};
+
+// Ids the client sees; they must not reveal the item or its level
+const questionId = () => crypto.randomBytes(8).toString('hex');
+
+const placementError = (status, message) => Object.assign(new Error(message), { status });
+
+// users: repository (lib/repositories.js),
+// getData(language) -> { vocabulary, placement }, localizeWord(entry, nativeCode) -> { translation }
+const createPlacementTest = ({ db, users, getData, localizeWord, FieldValue, logger = console }) => {
+    const testRef = (userId, language) =>
+        db.collection(`users/${userId}/placement`).doc(language);
+
+    // Word at `level` with its translation among translations of other words,
+    // preferring distractors of the same level and type
+    const buildVocabularyQuestion = (language, nativeLanguage, level, usedIds) => {
+        const { vocabulary } = getData(language);
+        const candidates = shuffle(vocabulary.filter(w => w.level === level && !usedIds.includes(`vocab:${w.word}`)));
+
+        for (const entry of candidates) {
+            const correct = localizeWord(entry, nativeLanguage).translation;
+            const distractors = [];
+            const pool = shuffle(vocabulary.filter(w => w.word !== entry.word))
+                .sort((a, b) => (b.level === level) + (b.type === entry.type) - (a.level === level) - (a.type === entry.type));
+
+            for (const other of pool) {
+                const text = localizeWord(other, nativeLanguage).translation;
+                if (text && text !== correct && !distractors.includes(text)) distractors.push(text);
+                if (distractors.length === OPTION_COUNT - 1) break;
+            }
+            if (!correct || distractors.length === 0) continue;
+
+            const options = shuffle([correct, ...distractors]);
+            return {
+                id: questionId(),
+                item: `vocab:${entry.word}`,
+                kind: 'vocabulary',
+                level,
+                prompt: entry.word,
+                options,
+                answer: options.indexOf(correct)
+            };
+        }
+        return null;
+    };
+
+    const buildGrammarQuestion = (language, level, usedIds) => {
+        const { placement } = getData(language);
+        const item = shuffle(placement.filter(i => i.level === level && !usedIds.includes(`grammar:${i.id}`)))[0];
+        if (!item) return null;
+        return {
+            id: questionId(),
+            item: `grammar:${item.id}`,
+            kind: 'grammar',
+            level,
+            prompt: item.prompt,
+            options: item.options,
+            answer: item.answer
+        };
+    };
+
+    // Next unused question at the current level, or the nearest level that has one
+    const nextQuestion = (test) => {
+        const preferred = test.answers.length % 2 === 0 ? 'grammar' : 'vocabulary';
+        const kinds = preferred === 'grammar' ? ['grammar', 'vocabulary'] : ['vocabulary', 'grammar'];
+        const levels = CEFR_LEVELS
+            .map((level, index) => ({ level, distance: Math.abs(index - test.levelIndex) }))
+            .sort((a, b) => a.distance - b.distance)
+            .map(l => l.level);
+
+        for (const level of levels) {
+            for (const kind of kinds) {
+                const question = kind === 'grammar'
+                    ? buildGrammarQuestion(test.language, level, test.usedIds)
+                    : buildVocabularyQuestion(test.language, test.nativeLanguage, level, test.usedIds);
+                if (question) return question;
+            }
+        }
+        return null;
+    };
+
+    // What the client sees: no item, no level, no answer
+    const publicQuestion = (question, test) => question && ({
+        id: question.id,
+        kind: question.kind,
+        prompt: question.prompt,
+        options: question.options,
+        number: test.answers.length + 1,
+        total: MAX_QUESTIONS
+    });
+
+    const start = async (userId, language, { nativeLanguage, startLevel } = {}) => {
+        const levelIndex = CEFR_LEVELS.indexOf(normalizeLevel(startLevel) || DEFAULT_START_LEVEL);
+        const test = {
+            language,
+            nativeLanguage,
+            status: 'active',
+            levelIndex,
+            answers: [],
+            usedIds: [],
+            current: null
+        };
+
+        test.current = nextQuestion(test);
+        if (!test.current) throw placementError(400, "No placement items for this language");
+        test.usedIds.push(test.current.item);
+
+        await testRef(userId, language).set({
+            ...test,
+            startedAt: FieldValue.serverTimestamp(),
+            finishedAt: null,
+            result: null
+        });
+
+        return { question: publicQuestion(test.current, test) };
+    };
+
+    // answer: option index (number or integer-like string) or option text. Read and update in one transaction, so
+    // concurrent answers to the same question are graded once.
+    const answer = async (userId, language, { questionId, answer: given }) => {
+        const ref = testRef(userId, language);
+
+        return db.runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            const test = doc.exists ? doc.data() : null;
+
+            if (!test || test.status !== 'active' || !test.current) {
+                throw placementError(404, "No active placement test");
+            }
+            if (questionId && questionId !== test.current.id) {
+                throw placementError(409, "Question already answered");
+            }
+
+            const question = test.current;
+            const correct = chosenOption(question.options, given) === question.answer;
+
+            test.answers.push({ item: question.item, kind: question.kind, level: question.level, correct });
+            test.levelIndex = Math.min(CEFR_LEVELS.length - 1, Math.max(0, test.levelIndex + (correct ? 1 : -1)));
+
+            test.current = test.answers.length < MAX_QUESTIONS ? nextQuestion(test) : null;
+            if (test.current) test.usedIds.push(test.current.item);
+
+            t.set(ref, {
+                levelIndex: test.levelIndex,
+                answers: test.answers,
+                usedIds: test.usedIds,
+                current: test.current
+            }, { merge: true });
+
+            return {
+                correct,
+                correctAnswer: question.options[question.answer],
+                question: publicQuestion(test.current, test),
+                done: !test.current
+            };
+        });
+    };
+
+    // Estimates the level from the answers so far and stores it on the profile.
+    // Too few answers would place the learner at A1, so finishing early is refused.
+    const finish = async (userId, language) => {
+        const ref = testRef(userId, language);
+
+        const result = await db.runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            const test = doc.exists ? doc.data() : null;
+
+            if (!test || test.status !== 'active') {
+                throw placementError(404, "No active placement test");
+            }
+            // A test that ran out of questions can finish with what it has
+            if (test.answers.length === 0 || (test.current && test.answers.length < MIN_ANSWERS)) {
+                throw placementError(400, `Answer at least ${MIN_ANSWERS} questions first`);
+            }
+
+            const { level, breakdown } = estimateLevel(test.answers);
+            const estimate = {
+                level,
+                answered: test.answers.length,
+                correct: test.answers.filter(a => a.correct).length,
+                breakdown
+            };
+
+            t.set(ref, {
+                status: 'finished',
+                current: null,
+                result: estimate,
+                finishedAt: FieldValue.serverTimestamp()
+            }, { merge: true });
+
+            return estimate;
+        });
+
+        await users.update(userId, {
+            levels: { [language]: result.level },
+            levelUpdatedAt: FieldValue.serverTimestamp()
+        });
+
+        logger.info(`[Placement] ${userId} (${language}) placed at ${result.level}`);
+        return result;
+    };
+
+    return {
+        start,
+        answer,
+        finish
+    };
+};
+
+module.exports = {
+    MAX_QUESTIONS,
+    MIN_ANSWERS,
+    normalizeLevel,
+    resolveLevel,
+    levelDistance,
+    estimateLevel,
+    createPlacementTest
+};
@@ -0,0 +1,161 @@
+// Pronunciation scoring: the learner reads a sentence aloud and the STT transcript
+// is compared with it word by word. Words are aligned with an edit distance whose
+// substitution cost grows with the letter difference, so a misheard word pairs
+// with the word it was meant to be and a skipped one shows up as missed.
+// Each expected word gets `accuracy` (0..1) and a status:
+//   correct | close (heard with small letter differences) | wrong | missed
+// Words heard but not expected are listed as `extra`. An LLM pass ('fixme' task)
+// turns the alignment into a summary and per-word tips in the native language.
+
+const { levenshtein, stripAccents } = require('./quiz');
+
+const CLOSE_SIMILARITY = 0.6;   // below this a heard word counts as wrong
+const MAX_TIPS = 8;
+
+// Words with their original spelling; apostrophes stay inside words ("don't", "l'acqua")
+const tokenize = (text) =>
+    String(text || '').normalize('NFC').replace(/’/g, "'").match(/[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu) || [];
+
+// Case, accents and apostrophes depend on the recognizer's spelling, not on the speaker
+const comparable = (word) => stripAccents(word.toLowerCase()).replace(/'/g, '');
+
+// 1 for the same word, down to 0
+const similarity = (a, b) => {
+    const x = comparable(a);
+    const y = comparable(b);
+    if (x === y) return 1;
+    return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// -> { score (0-100), words: [{ word, heard, status, accuracy }], extra: [word] }
+const alignWords = (expected, transcript) => {
+    const want = tokenize(expected);
+    const heard = tokenize(transcript);
+    const n = want.length;
+    const m = heard.length;
+
+    // cost[i][j]: aligning want[0..i) with heard[0..j); a substitution costs
+    // 0 (same word) to 2 (as much as a deletion plus an insertion)
+    const cost = Array.from({ length: n + 1 }, (_, i) => [i, ...new Array(m).fill(0)]);
+    for (let j = 1; j <= m; j++) cost[0][j] = j;
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            cost[i][j] = Math.min(
+                cost[i - 1][j - 1] + 2 * (1 - similarity(want[i - 1], heard[j - 1])),
+                cost[i - 1][j] + 1,
+                cost[i][j - 1] + 1
+            );
+        }
+    }
+
+    const words = [];
+    const extra = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        const sim = i > 0 && j > 0 ? similarity(want[i - 1], heard[j - 1]) : 0;
+        if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + 2 * (1 - sim)) {
+            const status = sim === 1 ? 'correct' : sim >= CLOSE_SIMILARITY ? 'close' : 'wrong';
+            words.unshift({ word: want[i - 1], heard: heard[j - 1], status, accuracy: round2(sim) });
+            i -= 1;
+            j -= 1;
+        } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            words.unshift({ word: want[i - 1], heard: null, status: 'missed', accuracy: 0 });
+            i -= 1;
+        } else {
+            extra.unshift(heard[j - 1]);
+            j -= 1;
+        }
+    }
+
+    const total = words.reduce((sum, w) => sum + w.accuracy, 0);
+    return {
+        score: n > 0 ? Math.round((total / n) * 100) : 0,
+        words,
+        extra
+    };
+};
+
+// languageName(code) -> display name
+const createPronunciationCoach = ({ llm, languageName, logger = console }) => {
+    // -> { summary, tips: [{ word, tip }] }, or null when the LLM answer is unusable
+    const feedbackFor = async ({ language, expected, transcript, alignment, nativeLanguage }) => {
+        const targetName = languageName(language);
+        const nativeName = languageName(nativeLanguage);
+        const problems = alignment.words
+            .filter(w => w.status !== 'correct')
+            .slice(0, MAX_TIPS)
+            .map(w => (w.heard ? `"${w.word}" was heard as "${w.heard}"` : `"${w.word}" was not heard`));
+
+        const prompt = `A ${targetName} learner (native language: ${nativeName}) read this sentence aloud:
+"${expected}"
+Speech recognition heard:
+"${transcript}"
+Problems found: ${problems.length > 0 ? problems.join('; ') : 'none'}${alignment.extra.length > 0 ? `; extra words heard: ${alignment.extra.join(', ')}` : ''}.
+
+Explain in ${nativeName} which sounds were most likely mispronounced and how to say them correctly.
+Output JSON only.
+Format: {
+  "summary": "1-2 encouraging sentences about the attempt",
+  "tips": [ { "word": "the expected word", "tip": "short practical tip on its pronunciation" } ]
+}`;
+
+        const completion = await llm.complete('fixme', {
+            messages: [{ role: 'user', content: prompt }],
+            responseFormat: { type: "json_object" }
+        });
+
+        let raw;
+        try {
+            raw = JSON.parse(completion.text);
+        } catch (e) {
+            return null;
+        }
+        if (!raw || typeof raw !== 'object') return null;
+
+        return {
+            summary: typeof raw.summary === 'string' ? raw.summary.trim() : null,
+            tips: (Array.isArray(raw.tips) ? raw.tips : [])
+                .filter(t => t && typeof t.word === 'string' && typeof t.tip === 'string')
+                .slice(0, MAX_TIPS)
+                .map(t => ({ word: t.word.trim(), tip: t.tip.trim() }))
+        };
+    };
+
+    // Alignment plus feedback; a failed feedback pass still returns the alignment
+    const score = async ({ language, expected, transcript, nativeLanguage }) => {
+        const alignment = alignWords(expected, transcript);
+        if (alignment.score === 100 && alignment.extra.length === 0) {
+            return { ...alignment, summary: null };
+        }
+
+        let feedback = null;
+        try {
+            feedback = await feedbackFor({ language, expected, transcript, alignment, nativeLanguage });
+        } catch (error) {
+            logger.warn(`[Pronunciation] Feedback failed: ${error.message}`);
+        }
+        if (!feedback) return { ...alignment, summary: null };
+
+        const tipFor = new Map(feedback.tips.map(t => [comparable(t.word), t.tip]));
+        return {
+            ...alignment,
+            words: alignment.words.map(w => (tipFor.has(comparable(w.word)) && w.status !== 'correct'
+                ? { ...w, tip: tipFor.get(comparable(w.word)) }
+                : w)),
+            summary: feedback.summary
+        };
+    };
+
+    return {
+        score
+    };
+};
+
+module.exports = {
+    tokenize,
+    alignWords,
+    createPronunciationCoach
+};
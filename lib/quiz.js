@@ -0,0 +1,263 @@
+// Quiz exercises for review words, graded on the server
+// Types:
+//   choice   - word -> pick its translation; distractors are translations of
+//              vocabulary entries of the same level and type where possible
+//   cloze    - the word's `example` with the word blanked out
+//   reverse  - translation -> type the word (typos tolerated)
+//   spelling - definition + first letter -> type the word (exact spelling)
+// Quizzes are stored at users/{userId}/quizzes/{quizId} with their answers;
+// clients only see the prompts. Each graded answer goes through the same SRS
+// review as /updateWordStatus: exact -> good, typo -> hard, wrong -> again.
+
+const EXERCISE_TYPES = ['choice', 'cloze', 'reverse', 'spelling'];
+
+const MAX_WORDS = 20;
+const OPTION_COUNT = 4;
+
+const shuffle = (arr) => arr.sort(() => 0.5 - Math.random());
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case, surrounding punctuation and repeated spaces never count as mistakes
+const normalizeAnswer = (text) => String(text ?? '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,!?;:"'«»]+|[\s.,!?;:"'«»]+$/g, '');
+
+const stripAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Allowed typos grow with the word: none up to 4 letters, 1 up to 8, then 2
+const typoAllowance = (expected) => (expected.length <= 4 ? 0 : expected.length <= 8 ? 1 : 2);
+
+// -> { correct, typo }; missing accents always count as a typo
+const checkAnswer = (expected, given, { tolerant = true } = {}) => {
+    const want = normalizeAnswer(expected);
+    const got = normalizeAnswer(given);
+
+    if (!got) return { correct: false, typo: false };
+    if (got === want) return { correct: true, typo: false };
+    if (!tolerant) return { correct: false, typo: false };
+    if (stripAccents(got) === stripAccents(want)) return { correct: true, typo: true };
+
+    const distance = levenshtein(got, want);
+    return distance <= typoAllowance(want)
+        ? { correct: true, typo: true }
+        : { correct: false, typo: false };
+};
+
+const gradeFor = ({ correct, typo }) => (!correct ? 'again' : typo ? 'hard' : 'good');
+
+// getVocabulary(language) -> word pool, localizeWord(entry, nativeCode) -> entry with `translation`,
+// getUserWord(userId, language, word) -> the learner's card | null,
+// recordReview(userId, language, word, grade) -> card
+const createQuiz = ({ db, getVocabulary, getUserWord, localizeWord, recordReview, FieldValue, logger = console }) => {
+    const quizzes = (userId) => db.collection(`users/${userId}/quizzes`);
+
+    // Translations of other entries, same level and type first
+    const pickDistractors = (entry, vocabulary, nativeLanguage) => {
+        const similarity = (w) => (w.level === entry.level) + (w.type === entry.type);
+        const pool = shuffle(vocabulary.filter(w => w.word !== entry.word))
+            .sort((a, b) => similarity(b) - similarity(a));
+
+        const distractors = [];
+        for (const other of pool) {
+            const text = localizeWord(other, nativeLanguage).translation;
+            if (text && text !== entry.translation && !distractors.includes(text)) distractors.push(text);
+            if (distractors.length === OPTION_COUNT - 1) break;
+        }
+        return distractors;
+    };
+
+    // Exercise with its answer, or null when the entry lacks what the type needs
+    const buildExercise = (type, entry, vocabulary, nativeLanguage) => {
+        const base = { type, word: entry.word };
+
+        if (type === 'choice') {
+            if (!entry.translation) return null;
+            const distractors = pickDistractors(entry, vocabulary, nativeLanguage);
+            if (distractors.length === 0) return null;
+            const options = shuffle([entry.translation, ...distractors]);
+            return { ...base, prompt: entry.word, options, answer: entry.translation };
+        }
+
+        if (type === 'cloze') {
+            if (!entry.example) return null;
+            const match = entry.example.match(new RegExp(`(^|[^\\p{L}])(${escapeRegExp(entry.word)})(?![\\p{L}])`, 'iu'));
+            if (!match) return null;
+            const start = match.index + match[1].length;
+            const prompt = `${entry.example.slice(0, start)}___${entry.example.slice(start + match[2].length)}`;
+            return { ...base, prompt, hint: entry.translation || null, answer: match[2] };
+        }
+
+        if (type === 'reverse') {
+            if (!entry.translation) return null;
+            return { ...base, prompt: entry.translation, answer: entry.word };
+        }
+
+        if (type === 'spelling') {
+            if (!entry.definition) return null;
+            return {
+                ...base,
+                prompt: entry.definition,
+                hint: `${entry.word[0]}${entry.word.slice(1).replace(/[^\s'-]/g, '_')}`,
+                answer: entry.word
+            };
+        }
+
+        return null;
+    };
+
+    // What the client sees: the word itself would give away most answers
+    const publicExercise = (exercise) => {
+        const { answer, word, ...visible } = exercise;
+        return visible;
+    };
+
+    // words: word strings (e.g. the /getDailyWords selection). Words outside the
+    // dataset are read from the user's own cards. Types rotate across the words,
+    // skipping types a word cannot support.
+    const generate = async (userId, language, { words, nativeLanguage, types = EXERCISE_TYPES }) => {
+        const vocabulary = await getVocabulary(language);
+        const byWord = new Map(vocabulary.map(v => [v.word, v]));
+        const requested = [...new Set(words.map(String))].slice(0, MAX_WORDS);
+
+        const entries = [];
+        for (const word of requested) {
+            let entry = byWord.get(word);
+            if (!entry) {
+                entry = await getUserWord(userId, language, word);
+            }
+            if (entry) entries.push(localizeWord(entry, nativeLanguage));
+        }
+
+        const exercises = [];
+        entries.forEach((entry, index) => {
+            for (let offset = 0; offset < types.length; offset++) {
+                const type = types[(index + offset) % types.length];
+                const exercise = buildExercise(type, entry, vocabulary, nativeLanguage);
+                if (exercise) {
+                    exercises.push({ id: `ex${exercises.length + 1}`, ...exercise });
+                    break;
+                }
+            }
+        });
+
+        if (exercises.length === 0) return null;
+
+        const ref = await quizzes(userId).add({
+            language,
+            exercises,
+            results: {},
+            createdAt: FieldValue.serverTimestamp()
+        });
+
+        return {
+            quizId: ref.id,
+            exercises: exercises.map(publicExercise)
+        };
+    };
+
+    // answers: [{ exerciseId, answer }]; choice answers may be the option index.
+    // New answers are claimed in a transaction before their SRS reviews are recorded,
+    // so a retried or concurrent submission gets the stored results and never
+    // records a review twice.
+    const grade = async (userId, quizId, answers) => {
+        const ref = quizzes(userId).doc(String(quizId));
+
+        const claim = await db.runTransaction(async (t) => {
+            const doc = await t.get(ref);
+            if (!doc.exists) return null;
+
+            const quiz = doc.data();
+            const results = { ...quiz.results };
+            const gradedIds = [];
+            const claimedIds = [];
+
+            for (const { exerciseId, answer } of answers) {
+                const exercise = quiz.exercises.find(e => e.id === exerciseId);
+                if (!exercise) continue;
+                gradedIds.push(exercise.id);
+                if (results[exercise.id]) continue;
+
+                const given = exercise.type === 'choice' && typeof answer === 'number'
+                    ? exercise.options[answer]
+                    : answer;
+                const check = checkAnswer(exercise.answer, given, {
+                    tolerant: exercise.type === 'cloze' || exercise.type === 'reverse'
+                });
+
+                results[exercise.id] = {
+                    exerciseId: exercise.id,
+                    word: exercise.word,
+                    correct: check.correct,
+                    typo: check.typo,
+                    expected: exercise.answer,
+                    grade: gradeFor(check)
+                };
+                claimedIds.push(exercise.id);
+            }
+
+            if (claimedIds.length > 0) {
+                t.set(ref, { results, gradingStartedAt: FieldValue.serverTimestamp() }, { merge: true });
+            }
+            return { quiz, results, gradedIds, claimedIds };
+        });
+        if (!claim) return null;
+
+        const { quiz, results, gradedIds, claimedIds } = claim;
+        const reviewed = {};
+        for (const id of claimedIds) {
+            const result = results[id];
+            const card = await recordReview(userId, quiz.language, result.word, result.grade);
+            result.status = card.status;
+            result.due = card.due.toISOString();
+            reviewed[id] = result;
+        }
+
+        if (claimedIds.length > 0) {
+            await ref.set({ results: reviewed, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+        }
+
+        const graded = gradedIds.map(id => results[id]);
+        const done = Object.values(results);
+        logger.info(`[Quiz] ${userId} graded ${graded.length} answers in ${quizId}`);
+        return {
+            results: graded,
+            score: {
+                answered: done.length,
+                correct: done.filter(r => r.correct).length,
+                total: quiz.exercises.length
+            }
+        };
+    };
+
+    return {
+        generate,
+        grade
+    };
+};
+
+module.exports = {
+    EXERCISE_TYPES,
+    levenshtein,
+    stripAccents,
+    checkAnswer,
+    createQuiz
+};
@@ -0,0 +1,139 @@
+// Repositories for the learner's core data. Callers get plain objects (document
+// data) and never build storage paths themselves:
+//   users       users/{userId}                                    profile, levels, goals, streak, tier
+//   dialogs     dialogs/{userId}/messages[_{language}]            chat history (languages.historyPath)
+//               dialogs/{userId}/memory/{language}                long-term conversation memory
+//   userWords   users/{userId}/user_words_{language}/{wordId}     SRS cards and personal words
+//   lessons     lessons/{userId}/progress_{language}/{lessonId}   lesson progress
+//               lessons/{userId}/records/{autoId}                 lesson summaries
+//   dailyWords  daily_words/{userId}_{language}_{date}            days marked as mastered
+// db is Firestore or the in-memory store (lib/storage.js). Writes accept
+// FieldValue sentinels from the same backend.
+
+const { wordId } = require('./reviews');
+
+const dataOf = (doc) => (doc.exists ? doc.data() : null);
+
+const listOf = (snapshot) => {
+    const items = [];
+    snapshot.forEach(doc => items.push(doc.data()));
+    return items;
+};
+
+// historyPath(userId, language) -> chat history collection
+const createRepositories = ({ db, FieldValue, historyPath }) => {
+    const userRef = (userId) => db.collection('users').doc(String(userId));
+
+    const users = {
+        // -> profile | null
+        get: async (userId) => dataOf(await userRef(userId).get()),
+        // Merges fields into the profile, creating it if needed
+        update: (userId, fields) => userRef(userId).set(fields, { merge: true })
+    };
+
+    const history = (userId, language) => db.collection(historyPath(userId, language));
+    const memoryRef = (userId, language) => db.collection(`dialogs/${userId}/memory`).doc(language);
+
+    const dialogs = {
+        // Last `limit` messages, oldest first
+        recent: async (userId, language, limit) => {
+            const snapshot = await history(userId, language)
+                .orderBy('createdAt', 'desc')
+                .limit(limit)
+                .get();
+            return listOf(snapshot).reverse();
+        },
+        // Up to `limit` messages created after `after` (a stored createdAt, null for all), oldest first
+        after: async (userId, language, after, limit) => {
+            let query = history(userId, language).orderBy('createdAt', 'asc');
+            if (after) {
+                query = query.where('createdAt', '>', after);
+            }
+            return listOf(await query.limit(limit).get());
+        },
+        // { role, mode, createdAt } of the messages created since a Date
+        since: async (userId, language, since) => listOf(await history(userId, language)
+            .where('createdAt', '>=', since)
+            .select('role', 'mode', 'createdAt')
+            .get()),
+        // Stores messages in order, each stamped with the server time
+        append: async (userId, language, messages) => {
+            for (const message of messages) {
+                await history(userId, language).add({ ...message, createdAt: FieldValue.serverTimestamp() });
+            }
+        },
+        getMemory: async (userId, language) => dataOf(await memoryRef(userId, language).get()),
+        setMemory: (userId, language, memory, { merge = false } = {}) =>
+            memoryRef(userId, language).set(memory, { merge })
+    };
+
+    const cards = (userId, language) => db.collection(`users/${userId}/user_words_${language}`);
+
+    const userWords = {
+        // -> card | null
+        get: async (userId, language, word) => dataOf(await cards(userId, language).doc(wordId(word)).get()),
+        list: async (userId, language) => listOf(await cards(userId, language).get()),
+        set: (userId, language, word, card) => cards(userId, language).doc(wordId(word)).set(card),
+        // Read-modify-write in a transaction: change(card | null) -> fields merged into the card.
+        // Resolves to the fields written.
+        update: (userId, language, word, change) => {
+            const ref = cards(userId, language).doc(wordId(word));
+            return db.runTransaction(async (t) => {
+                const doc = await t.get(ref);
+                const fields = change(dataOf(doc));
+                t.set(ref, fields, { merge: true });
+                return fields;
+            });
+        }
+    };
+
+    const progress = (userId, language) => db.collection(`lessons/${userId}/progress_${language}`);
+    const records = (userId) => db.collection(`lessons/${userId}/records`);
+
+    const lessons = {
+        // -> Map(lessonId -> progress)
+        getProgress: async (userId, language) => {
+            const snapshot = await progress(userId, language).get();
+            const byLesson = new Map();
+            snapshot.forEach(doc => byLesson.set(doc.id, doc.data()));
+            return byLesson;
+        },
+        getLessonProgress: async (userId, language, lessonId) =>
+            dataOf(await progress(userId, language).doc(lessonId).get()),
+        updateProgress: (userId, language, lessonId, fields) =>
+            progress(userId, language).doc(lessonId).set(fields, { merge: true }),
+        // Lesson summary, stamped with the server time
+        addRecord: (userId, record) => records(userId).add({ ...record, createdAt: FieldValue.serverTimestamp() }),
+        recordsSince: async (userId, since) => listOf(await records(userId).where('createdAt', '>=', since).get())
+    };
+
+    const dailyRef = (userId, language, date) => db.collection('daily_words').doc(`${userId}_${language}_${date}`);
+
+    const dailyWords = {
+        markMastered: (userId, language, date) => dailyRef(userId, language, date).set({
+            mastered: true,
+            masteredAt: FieldValue.serverTimestamp(),
+            userId,
+            date,
+            language
+        }, { merge: true }),
+        // [{ language, date }] -> day docs in the same order, null when missing
+        getMany: async (userId, days) => {
+            if (days.length === 0) return [];
+            const docs = await db.getAll(...days.map(({ language, date }) => dailyRef(userId, language, date)));
+            return docs.map(dataOf);
+        }
+    };
+
+    return {
+        users,
+        dialogs,
+        userWords,
+        lessons,
+        dailyWords
+    };
+};
+
+module.exports = {
+    createRepositories
+};
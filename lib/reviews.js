@@ -0,0 +1,103 @@
+// User word cards: users/{userId}/user_words_{language}/{wordId(word)}
+// record() applies an SRS grade (/updateWordStatus, quiz grading); first reviews
+// copy the vocabulary entry into the card. addWord() saves a personal word the
+// learner met elsewhere, described like a vocabulary entry, with its `source`.
+
+const { scheduleReview } = require('./srs');
+
+// Where personal words come from
+const SOURCES = ['chat', 'translate', 'image', 'lesson', 'manual'];
+
+// Spelling used for cards: NFC, trimmed, single spaces
+const normalizeWord = (word) => String(word).normalize('NFC').trim().replace(/\s+/g, ' ');
+
+// Word -> Firestore doc id. "%" and "/" are percent-encoded, as are ids Firestore
+// reserves ("." / ".." / "__name__"); other words are their own id, so cards
+// created before ids were normalized keep resolving.
+const wordId = (word) => {
+    const id = normalizeWord(word).replace(/[%/]/g, c => encodeURIComponent(c));
+    if (id === '.' || id === '..') return id.replace(/\./g, '%2E');
+    if (/^__.*__$/.test(id)) return `%5F${id.slice(1)}`;
+    return id;
+};
+
+// Client-facing subset of a card
+const describeCard = (card) => ({
+    status: card.status,
+    ease: card.ease,
+    interval: card.interval,
+    due: card.due.toISOString()
+});
+
+// userWords: repository (lib/repositories.js),
+// getVocabulary(language) -> word pool (dataset + approved generated words),
+// describeWord({ language, word, nativeLanguage, context }) -> vocabulary entry | null,
+// onReview(userId, language, grade) is called after each recorded review
+const createReviewRecorder = ({ userWords, getVocabulary, describeWord, onReview, FieldValue }) => {
+    const record = async (userId, language, rawWord, grade) => {
+        const word = normalizeWord(rawWord);
+        const vocabulary = await getVocabulary(language);
+
+        const card = await userWords.update(userId, language, word, (current) => {
+            let data = current || {
+                word,
+                correct_streak: 0,
+                wrong_count: 0,
+                status: 'new',
+            };
+
+            // Ease, interval, due date, history and derived status
+            data = { ...data, ...scheduleReview(data, grade) };
+            data.last_seen = FieldValue.serverTimestamp();
+
+            if (!current) {
+                const vocabItem = vocabulary.find(v => v.word === word);
+                if (vocabItem) {
+                    data = { ...vocabItem, ...data };
+                }
+            }
+
+            return data;
+        });
+
+        if (onReview) onReview(userId, language, grade);
+        return card;
+    };
+
+    // New cards have no due date, so /getDailyWords serves them with the due reviews.
+    // -> { created, card }, card null when the word could not be described
+    const addWord = async (userId, language, { word: rawWord, source, context, nativeLanguage }) => {
+        const word = normalizeWord(rawWord);
+        const existing = await userWords.get(userId, language, word);
+        if (existing) return { created: false, card: existing };
+
+        const entry = await describeWord({ language, word, nativeLanguage, context });
+        if (!entry) return { created: false, card: null };
+
+        const card = {
+            ...entry,
+            word,
+            status: 'new',
+            correct_streak: 0,
+            wrong_count: 0,
+            source,
+            ...(context ? { context: String(context).slice(0, 500) } : {})
+        };
+
+        await userWords.set(userId, language, word, { ...card, addedAt: FieldValue.serverTimestamp() });
+        return { created: true, card };
+    };
+
+    return {
+        record,
+        addWord
+    };
+};
+
+module.exports = {
+    SOURCES,
+    normalizeWord,
+    wordId,
+    describeCard,
+    createReviewRecorder
+};
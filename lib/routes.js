@@ -0,0 +1,128 @@
+const express = require('express');
+
+const { createHandlers } = require('./handlers');
+
+// Every endpoint, mounted once as an Express router (server.js) and once as
+// functions.https.onRequest exports (index.js). All routes are POST /<name> and
+// run, after authentication:
+//   multipart   multipart/form-data bodies parsed into fields + files (lib/uploads.js)
+//   validate    the route's body schema (lib/schemas.js)
+//   ownerOnly   403 unless the user is OWNER_TELEGRAM_ID (when set)
+//   adminOnly   403 unless the user is in ADMIN_USER_IDS
+//   limited     rate limits and daily quotas (lib/usage.js), for every route that may call
+//               the LLM or STT (including IPA generation and describing personal words)
+//   the handler (lib/handlers)
+const ROUTES = {
+    updateProfile: { ownerOnly: true },
+    chat: { ownerOnly: true, limited: true },
+    summarizeLesson: { ownerOnly: true, limited: true },
+    getLessons: {},
+    getLessonProgress: {},
+    startPlacementTest: {},
+    answerPlacementTest: {},
+    finishPlacementTest: {},
+    getMistakes: {},
+    getChatHistory: { ownerOnly: true },
+    getMemory: {},
+    clearMemory: {},
+    speak: {},
+    getWordAudio: { limited: true },
+    transcribe: { limited: true },
+    scorePronunciation: { limited: true },
+    voiceChat: { ownerOnly: true, limited: true },
+    translate: { limited: true },
+    getDailyWords: { limited: true },
+    updateWordStatus: {},
+    generateQuiz: {},
+    gradeQuiz: {},
+    generateVocabulary: { limited: true },
+    getVocabularyQueue: {},
+    reviewVocabulary: { adminOnly: true },
+    markDailyMastered: {},
+    getActivity: {},
+    setDailyGoals: {},
+    getStats: {},
+    getUsage: {},
+    getWordHistory: {},
+    getGrammarPills: {},
+    analyzeImage: { multipart: true, limited: true },
+    translateWord: { limited: true },
+    addUserWord: { limited: true }
+};
+
+const forbidden = (res) => res.status(403).json({ error: "Unauthorized" });
+
+// services (lib/services.js) -> { [route]: [middleware..., handler] }
+const createRouteStacks = (services) => {
+    const { config, validate, usageTracker, multipartBody, logger } = services;
+    const handlers = createHandlers(services);
+
+    const ownerOnly = (req, res, next) => {
+        const userId = req.body.userId;
+        if (config.ownerTelegramId && String(userId) !== String(config.ownerTelegramId)) {
+            logger.warn(`Unauthorized access attempt from: ${userId}`);
+            return forbidden(res);
+        }
+        next();
+    };
+
+    const adminOnly = (req, res, next) => {
+        if (!config.adminUserIds.includes(String(req.body.userId))) return forbidden(res);
+        next();
+    };
+
+    return Object.fromEntries(Object.entries(ROUTES).map(([name, route]) => [name, [
+        ...(route.multipart ? [multipartBody] : []),
+        validate[name],
+        ...(route.ownerOnly ? [ownerOnly] : []),
+        ...(route.adminOnly ? [adminOnly] : []),
+        ...(route.limited ? [usageTracker.middleware] : []),
+        handlers[name]
+    ]]));
+};
+
+// Express router with POST /<route> for every route; authentication is mounted by the app
+const createRouter = (services) => {
+    const router = express.Router();
+    Object.entries(createRouteStacks(services)).forEach(([name, stack]) => {
+        router.post(`/${name}`, ...stack);
+    });
+    return router;
+};
+
+// Runs (req, res, next) middleware in order outside Express; a thrown or
+// rejected step ends the request with 500. Middleware calls next() without
+// returning it, so each step also waits for the steps it started.
+const runStack = (stack, req, res, logger) => {
+    const step = async (i) => {
+        if (i >= stack.length) return;
+        let rest = null;
+        await stack[i](req, res, () => {
+            rest = step(i + 1);
+            return rest;
+        });
+        await rest;
+    };
+    step(0).catch(error => {
+        logger.error("Unhandled request error", error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    });
+};
+
+// { [route]: functions.https.onRequest(...) } for index.js exports.
+// functions, cors and authenticate are passed in so this module does not depend on Firebase.
+const createFunctions = (services, { functions, cors, authenticate }) => Object.fromEntries(
+    Object.entries(createRouteStacks(services)).map(([name, stack]) => [
+        name,
+        functions.https.onRequest((request, response) => {
+            cors(request, response, () => runStack([authenticate, ...stack], request, response, services.logger));
+        })
+    ])
+);
+
+module.exports = {
+    ROUTES,
+    createRouteStacks,
+    createRouter,
+    createFunctions
+};
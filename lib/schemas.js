@@ -0,0 +1,203 @@
+// Request schemas for every endpoint (rules: see lib/validation.js)
+// userId is always present: the auth middleware sets it from the verified credentials.
+
+const { CEFR_LEVELS } = require('./lessons');
+const { MODES: CHAT_MODES } = require('./chat');
+const { SOURCES: USER_WORD_SOURCES } = require('./reviews');
+const { GRADES } = require('./srs');
+const { EXERCISE_TYPES } = require('./quiz');
+const { STATUSES: VOCABULARY_STATUSES, MAX_GENERATE } = require('./vocabulary');
+const { CATEGORIES } = require('./mistakes');
+const { BUCKETS: STATS_BUCKETS } = require('./stats');
+const { GOAL_LIMITS, isValidTimeZone } = require('./activity');
+const { normalizeLevel } = require('./placement');
+const { GENDERS } = require('./tts');
+
+const MAX_MESSAGE_CHARS = 4000;
+const MAX_TRANSLATE_CHARS = 10000;
+const MAX_WORD_CHARS = 80;
+const MAX_DAYS = 366;
+
+const createRequestSchemas = ({ languages }) => {
+    const userId = { type: 'string', required: true };
+    const language = { type: 'string', enum: languages.targetCodes, default: languages.defaultTarget };
+    const word = { type: 'string', required: true, max: MAX_WORD_CHARS };
+    const timezone = { type: 'string', check: tz => (isValidTimeZone(tz) ? null : "must be an IANA timezone") };
+    const days = { type: 'integer', min: 1, max: MAX_DAYS };
+    const translationLanguage = {
+        type: 'string',
+        default: languages.defaultNative,
+        check: code => (languages.languageName(code) ? null : "is not a supported language")
+    };
+    const level = { type: 'string', max: 40, check: l => (normalizeLevel(l) ? null : `must be one of ${CEFR_LEVELS.join(', ')}`) };
+
+    const voice = {
+        gender: { type: 'string', lowercase: true, enum: GENDERS.map(g => g.toLowerCase()) },
+        accent: { type: 'string', max: 10 },
+        speed: { type: 'number', min: 0.25, max: 2 }
+    };
+    const audio = {
+        audio: { type: 'string', required: true },
+        mimeType: { type: 'string', max: 100 }
+    };
+    const chatTurn = {
+        mode: { type: 'string', enum: CHAT_MODES, default: 'conversation' },
+        activeLesson: { type: 'string', max: 40 }
+    };
+
+    // Fields learners may change with /updateProfile; tier, limits, streak and
+    // streakFreezes are server-managed
+    const profile = {
+        level: { type: 'string', max: 40 },
+        goal: { type: 'string', max: 200 },
+        style: { type: 'string', max: 100 },
+        activeLesson: { type: 'string', max: 40 },
+        nativeLanguage: { type: 'string', enum: languages.nativeCodes },
+        levels: {
+            type: 'object',
+            strict: true,
+            fields: Object.fromEntries(languages.targetCodes.map(code => [code, { type: 'string', enum: CEFR_LEVELS }]))
+        },
+        timezone,
+        dailyGoals: {
+            type: 'object',
+            strict: true,
+            fields: Object.fromEntries(Object.entries(GOAL_LIMITS).map(([key, max]) => [key, { type: 'integer', min: 0, max }]))
+        }
+    };
+
+    const userLanguage = { userId, language };
+
+    return {
+        updateProfile: { userId, profile: { type: 'object', required: true, strict: true, fields: profile } },
+
+        chat: {
+            userId,
+            language,
+            message: { type: 'string', required: true, max: MAX_MESSAGE_CHARS },
+            ...chatTurn,
+            stream: { type: 'boolean' }
+        },
+        summarizeLesson: { ...userLanguage, activeLesson: { type: 'string', max: 40 } },
+        getChatHistory: userLanguage,
+        getMemory: userLanguage,
+        clearMemory: userLanguage,
+
+        getLessons: { language, level: { type: 'string', enum: CEFR_LEVELS } },
+        getLessonProgress: userLanguage,
+
+        startPlacementTest: { ...userLanguage, startLevel: level },
+        answerPlacementTest: {
+            ...userLanguage,
+            questionId: { type: 'string', max: 100 },
+            answer: { type: 'any', required: true }
+        },
+        finishPlacementTest: userLanguage,
+
+        getMistakes: { ...userLanguage, category: { type: 'string', enum: CATEGORIES } },
+
+        speak: {
+            language,
+            text: { type: 'string', max: 5000, requiredWithout: ['ssml'] },
+            ssml: { type: 'string', max: 5000 },
+            ...voice,
+            wordByWord: { type: 'boolean' },
+            sentencePause: { type: 'integer', min: 0, max: 3000 }
+        },
+        getWordAudio: { ...userLanguage, word, ...voice },
+        transcribe: { language, ...audio },
+        scorePronunciation: { ...userLanguage, expected: { type: 'string', required: true, max: 300 }, ...audio },
+        voiceChat: { ...userLanguage, ...chatTurn, ...voice, ...audio },
+
+        translate: { text: { type: 'string', required: true, max: MAX_TRANSLATE_CHARS }, targetLang: translationLanguage },
+        translateWord: { text: { type: 'string', required: true, max: 200 }, targetLang: translationLanguage },
+
+        getDailyWords: { ...userLanguage, topic: { type: 'string', lowercase: true, max: 40 } },
+        updateWordStatus: {
+            ...userLanguage,
+            word,
+            grade: { type: 'string', lowercase: true, enum: GRADES, requiredWithout: ['isCorrect'] },
+            isCorrect: { type: 'boolean' }
+        },
+        markDailyMastered: { ...userLanguage, date: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ } },
+        getWordHistory: userLanguage,
+        addUserWord: {
+            ...userLanguage,
+            word,
+            source: { type: 'string', enum: USER_WORD_SOURCES, default: 'manual' },
+            context: { type: 'string', max: 500 }
+        },
+
+        generateQuiz: {
+            ...userLanguage,
+            // Word strings or /getDailyWords entries ({ word, ... })
+            words: {
+                type: 'array',
+                required: true,
+                min: 1,
+                max: 50,
+                items: {
+                    type: 'any',
+                    check: w => (typeof w === 'string' || (w && typeof w.word === 'string') ? null : "must be a word or { word }")
+                }
+            },
+            types: { type: 'array', min: 1, items: { type: 'string', enum: EXERCISE_TYPES }, default: EXERCISE_TYPES }
+        },
+        gradeQuiz: {
+            userId,
+            quizId: { type: 'string', required: true, max: 100 },
+            answers: {
+                type: 'array',
+                required: true,
+                max: 100,
+                items: { type: 'object', fields: { exerciseId: { type: 'string', required: true, max: 20 }, answer: { type: 'any' } } }
+            }
+        },
+
+        generateVocabulary: {
+            ...userLanguage,
+            topic: { type: 'string', required: true, lowercase: true, max: 40 },
+            level: { ...level, required: true },
+            count: { type: 'integer', min: 1, max: MAX_GENERATE }
+        },
+        getVocabularyQueue: { language, status: { type: 'string', enum: VOCABULARY_STATUSES, default: 'pending' } },
+        reviewVocabulary: {
+            ...userLanguage,
+            words: { type: 'array', required: true, min: 1, max: 100, items: { type: 'string', max: MAX_WORD_CHARS } },
+            action: { type: 'string', required: true, enum: ['approve', 'reject'] }
+        },
+
+        getActivity: { userId, days, timezone },
+        setDailyGoals: {
+            userId,
+            goals: profile.dailyGoals,
+            timezone
+        },
+        getStats: { ...userLanguage, bucket: { type: 'string', enum: STATS_BUCKETS, default: 'day' }, days, timezone },
+        getUsage: { userId, days: { type: 'integer', min: 1, max: 30 } },
+
+        getGrammarPills: { language },
+
+        // JSON ({ image } base64 / { imageUrl }) or multipart/form-data with an `image` file
+        analyzeImage: {
+            ...userLanguage,
+            image: { type: 'string', requiredWithout: ['imageUrl', 'files'] },
+            imageUrl: { type: 'string', max: 2048 },
+            // Set by the multipart middleware only: a JSON body cannot carry Buffers
+            files: {
+                type: 'array',
+                check: (files) => {
+                    if (!files.every(f => f && Buffer.isBuffer(f.data))) return "must be uploaded as multipart/form-data";
+                    return files.some(f => f.field === 'image') ? null : "must include an `image` file";
+                }
+            },
+            targetLang: { ...translationLanguage, default: undefined },
+            // true for every detected object, or a list of the detected words to add
+            addWords: { type: 'any', check: v => (typeof v === 'boolean' || v === 'true' || v === 'false' || Array.isArray(v) ? null : "must be true, false or a list of words") }
+        }
+    };
+};
+
+module.exports = {
+    createRequestSchemas
+};
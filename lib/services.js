@@ -0,0 +1,227 @@
+const os = require('os');
+const path = require('path');
+const { TextToSpeechClient } = require('@google-cloud/text-to-speech');
+
+const languageConfig = require('../data/languages.json');
+const lessons = require('../data/lessons.json');
+
+const { createReviewRecorder } = require('./reviews');
+const { createQuiz } = require('./quiz');
+const { createLLMFromEnv } = require('./llm');
+const { createCurriculum } = require('./lessons');
+const { createLanguageRegistry } = require('./languages');
+const { createConversationMemory } = require('./memory');
+const { createMistakeTracker } = require('./mistakes');
+const { createPlacementTest } = require('./placement');
+const { createVocabularyBank } = require('./vocabulary');
+const { createActivityTracker } = require('./activity');
+const { createStatsService } = require('./stats');
+const { createChatService } = require('./chat');
+const { createSpeechRecognizerFromEnv } = require('./stt');
+const { createPronunciationCoach } = require('./pronunciation');
+const { createPhoneticsStore } = require('./phonetics');
+const { createImageAnalyzer } = require('./vision');
+const { createSafeFetcher } = require('./fetcher');
+const { createMultipartMiddleware } = require('./uploads');
+const { createDiskAudioCache, createStorageAudioCache, createStubTTSClient, createSpeechSynthesizer } = require('./tts');
+const { createUsageTracker } = require('./usage');
+const { createValidators } = require('./validation');
+const { createRequestSchemas } = require('./schemas');
+const { createStorageFromEnv } = require('./storage');
+const { createRepositories } = require('./repositories');
+
+// Everything the route handlers (lib/handlers) need, built once per process.
+// Shared by server.js (Express) and index.js (Cloud Functions) so both deployments
+// run the same services with the same configuration:
+//   STORAGE            firestore (default) or memory (lib/storage.js)
+//   OWNER_TELEGRAM_ID  only this user may chat / change the profile (unset or 0: everyone)
+//   ADMIN_USER_IDS     users allowed to approve generated vocabulary (comma separated ids)
+
+// Comma separated ids -> ['1', '2']
+const parseIdList = (value) => String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+
+const readConfig = (env) => ({
+    ownerTelegramId: parseInt(env.OWNER_TELEGRAM_ID, 10) || 0,
+    adminUserIds: parseIdList(env.ADMIN_USER_IDS)
+});
+
+// admin: initialized firebase-admin (Firestore, Storage for TTS_CACHE_BUCKET), null offline;
+// storage: { db, FieldValue } backend, chosen by STORAGE when not given
+const createServices = ({ admin = null, env = process.env, storage = createStorageFromEnv({ env, admin }), logger = console }) => {
+    const { db, FieldValue } = storage;
+    const config = readConfig(env);
+
+    // Target/native language registry (data/languages.json)
+    const languages = createLanguageRegistry({ config: languageConfig });
+
+    // users, dialogs, userWords, lessons, dailyWords
+    const repositories = createRepositories({ db, FieldValue, historyPath: languages.historyPath });
+    const { users, dialogs, userWords, lessons: lessonRepository, dailyWords } = repositories;
+
+    // Lesson curriculum (data/lessons.json) with vocabulary/grammar cross-references
+    const curriculum = createCurriculum({ lessons, getData: languages.getData });
+
+    // Per-route body schemas (lib/schemas.js): validate.<route> answers
+    // 400 { error, fields: [{ field, message }] } and normalizes the body
+    const validate = createValidators(createRequestSchemas({ languages }));
+
+    // Per-user / per-IP rate limits, daily quotas by tier and LLM token accounting
+    // (users/{id}/usage/{date}); its middleware guards the endpoints that call the LLM or STT
+    const usageTracker = createUsageTracker({
+        db,
+        users,
+        FieldValue,
+        ipRequestsPerMinute: parseInt(env.RATE_LIMIT_IP_PER_MINUTE, 10) || undefined,
+        logger
+    });
+
+    // LLM provider (OpenRouter by default, LLM_PROVIDER=fake for offline runs)
+    // with per-task model routing: AI_MODEL_<TASK> / AI_FALLBACK_MODEL_<TASK>
+    const llm = createLLMFromEnv({ env, onUsage: usageTracker.recordLLMUsage, logger });
+
+    // Rolling summaries + learner facts for turns older than the prompt window
+    const conversationMemory = createConversationMemory({ dialogs, llm, FieldValue, logger });
+
+    // Structured corrections from fixme / lesson / grammar chats
+    const mistakeTracker = createMistakeTracker({ db, llm, FieldValue, logger });
+
+    // Daily activity, goals and streaks (users/{id}/activity/{date})
+    const activity = createActivityTracker({
+        db,
+        users,
+        dailyWords,
+        languageCodes: languages.targetCodes,
+        FieldValue,
+        logger
+    });
+
+    // Per-language progress statistics (/getStats)
+    const stats = createStatsService({
+        userWords,
+        dialogs,
+        lessons: lessonRepository,
+        getRecentMistakes: mistakeTracker.getRecent,
+        defaultLanguage: languages.defaultTarget
+    });
+
+    // Dataset words + approved LLM-generated words (vocabulary/{language}/entries)
+    const vocabularyBank = createVocabularyBank({ db, llm, languages, FieldValue, logger });
+
+    // users/{id}/user_words_{language}: SRS grades (word status, quiz grading) and personal words
+    const wordReviews = createReviewRecorder({
+        userWords,
+        getVocabulary: vocabularyBank.getPool,
+        describeWord: vocabularyBank.describeWord,
+        onReview: (userId, language) => activity.record(userId, { language, wordsReviewed: 1 })
+            .catch(error => logger.error("Activity tracking failed", error)),
+        FieldValue
+    });
+
+    // Exercises for review words, graded answers recorded as SRS reviews
+    const quiz = createQuiz({
+        db,
+        getVocabulary: vocabularyBank.getPool,
+        getUserWord: userWords.get,
+        localizeWord: languages.localizeWord,
+        recordReview: wordReviews.record,
+        FieldValue,
+        logger
+    });
+
+    // Generated IPA for words without `pronunciation` (vocabulary/{language}/phonetics)
+    const phoneticsStore = createPhoneticsStore({ db, llm, languages, FieldValue, logger });
+
+    // Adaptive placement test writing users/{id}.levels.{language}
+    const placementTest = createPlacementTest({
+        db,
+        users,
+        getData: languages.getData,
+        localizeWord: languages.localizeWord,
+        FieldValue,
+        logger
+    });
+
+    // Tutor chat turns (prompts per mode, history window, saving) for /chat and /voiceChat
+    const chatService = createChatService({
+        users,
+        dialogs,
+        llm,
+        languages,
+        curriculum,
+        conversationMemory,
+        mistakeTracker,
+        activity,
+        logger
+    });
+
+    // Speech-to-text (Yandex SpeechKit by default, STT_PROVIDER=stub for offline runs)
+    const speechRecognizer = createSpeechRecognizerFromEnv({ env, logger });
+
+    // Google TTS (one client, created on first use) with a content-addressed MP3 cache:
+    // TTS_CACHE_BUCKET (Cloud Storage, needs firebase-admin) or TTS_CACHE_DIR (default: OS temp
+    // dir, in-memory on Cloud Functions; capped at TTS_CACHE_MAX_MB, default 50).
+    // TTS_PROVIDER=stub answers with silence and caches nothing, for offline runs.
+    const ttsStub = env.TTS_PROVIDER === 'stub';
+    if (!ttsStub && env.TTS_CACHE_BUCKET && !admin) {
+        logger.warn('[TTS] TTS_CACHE_BUCKET needs Firebase (STORAGE=firestore); caching on disk instead');
+    }
+    const speechSynthesizer = createSpeechSynthesizer({
+        createClient: () => (ttsStub ? createStubTTSClient() : new TextToSpeechClient({
+            keyFilename: './linguamentor-d432c-5d44333a0382.json'
+        })),
+        cache: ttsStub ? null : env.TTS_CACHE_BUCKET && admin
+            ? createStorageAudioCache({ bucket: admin.storage().bucket(env.TTS_CACHE_BUCKET) })
+            : createDiskAudioCache({
+                dir: env.TTS_CACHE_DIR || path.join(os.tmpdir(), 'linguamentor-tts'),
+                ...(parseFloat(env.TTS_CACHE_MAX_MB) > 0 ? { maxBytes: parseFloat(env.TTS_CACHE_MAX_MB) * 1024 * 1024 } : {})
+            }),
+        logger
+    });
+
+    // Photo -> objects, OCR text and practice sentences ('vision' task)
+    const imageAnalyzer = createImageAnalyzer({ llm, languageName: languages.languageName, logger });
+
+    // Client-supplied URLs: https only, public addresses only, size and time limits
+    const safeFetcher = createSafeFetcher({ logger });
+
+    // multipart/form-data image uploads for /analyzeImage
+    const multipartBody = createMultipartMiddleware();
+
+    // Word alignment of a spoken sentence + LLM pronunciation tips
+    const pronunciationCoach = createPronunciationCoach({ llm, languageName: languages.languageName, logger });
+
+    return {
+        config,
+        storage: storage.name,
+        db,
+        FieldValue,
+        ...repositories,
+        logger,
+        languages,
+        curriculum,
+        validate,
+        usageTracker,
+        llm,
+        conversationMemory,
+        mistakeTracker,
+        activity,
+        stats,
+        vocabularyBank,
+        wordReviews,
+        quiz,
+        phoneticsStore,
+        placementTest,
+        chatService,
+        speechRecognizer,
+        speechSynthesizer,
+        imageAnalyzer,
+        safeFetcher,
+        multipartBody,
+        pronunciationCoach
+    };
+};
+
+module.exports = {
+    readConfig,
+    createServices
+};
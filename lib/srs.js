@@ -0,0 +1,118 @@
+// Spaced repetition scheduler (SM-2 variant with Anki-style grades)
+// Each user_words_{lang} doc carries its own card state:
+//   ease, interval (days), reps, lapses, due, history[]
+// plus the legacy status / correct_streak / wrong_count fields that the
+// word history screens still read.
+
+const GRADES = ['again', 'hard', 'good', 'easy'];
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const RELEARN_MINUTES = 10;      // "again" cards come back in the same session
+const KNOWN_INTERVAL_DAYS = 21;  // mature card threshold
+const MAX_HISTORY = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Firestore Timestamp | Date | ISO string | serialized {_seconds} -> Date
+const toDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (typeof value._seconds === 'number') return new Date(value._seconds * 1000);
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Accepts a grade string, falling back to the legacy boolean isCorrect
+const normalizeGrade = (grade, isCorrect) => {
+    if (typeof grade === 'string' && GRADES.includes(grade.toLowerCase())) {
+        return grade.toLowerCase();
+    }
+    if (typeof isCorrect === 'boolean') {
+        return isCorrect ? 'good' : 'again';
+    }
+    return null;
+};
+
+// Cards reviewed before the scheduler existed have no due date:
+// treat them as due so they get rescheduled on the next answer.
+const isDue = (card, now = new Date()) => {
+    const due = toDate(card.due);
+    if (!due) return true;
+    return due.getTime() <= now.getTime();
+};
+
+// Most overdue first
+const byDueDate = (a, b) => {
+    const aDue = toDate(a.due);
+    const bDue = toDate(b.due);
+    return (aDue ? aDue.getTime() : 0) - (bDue ? bDue.getTime() : 0);
+};
+
+// Card status after a review: weak after a lapse, known once mature
+const statusFor = (grade, interval) => {
+    if (grade === 'again') return 'weak';
+    if (interval >= KNOWN_INTERVAL_DAYS) return 'known';
+    return 'learning';
+};
+
+// Returns the fields to merge into the card after answering with `grade`
+const scheduleReview = (card, grade, now = new Date()) => {
+    let ease = typeof card.ease === 'number' ? card.ease : DEFAULT_EASE;
+    let interval = typeof card.interval === 'number' ? card.interval : 0;
+    let reps = card.reps || 0;
+    let lapses = card.lapses || 0;
+    let due;
+
+    if (grade === 'again') {
+        ease = Math.max(MIN_EASE, ease - 0.2);
+        lapses += 1;
+        reps = 0;
+        interval = 0;
+        due = new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000);
+    } else {
+        if (grade === 'hard') {
+            ease = Math.max(MIN_EASE, ease - 0.15);
+            interval = reps === 0 ? 1 : Math.max(interval + 1, Math.round(interval * 1.2));
+        } else if (grade === 'good') {
+            if (reps === 0) interval = 1;
+            else if (reps === 1) interval = 3;
+            else interval = Math.max(interval + 1, Math.round(interval * ease));
+        } else if (grade === 'easy') {
+            ease += 0.15;
+            interval = reps === 0 ? 4 : Math.max(interval + 1, Math.round(interval * ease * 1.3));
+        }
+        reps += 1;
+        due = new Date(now.getTime() + interval * DAY_MS);
+    }
+
+    ease = Math.round(ease * 100) / 100;
+
+    const status = statusFor(grade, interval);
+
+    const history = Array.isArray(card.history) ? card.history.slice(-(MAX_HISTORY - 1)) : [];
+    history.push({ grade, reviewedAt: now, interval, ease });
+
+    return {
+        ease,
+        interval,
+        reps,
+        lapses,
+        due,
+        status,
+        correct_streak: grade === 'again' ? 0 : (card.correct_streak || 0) + 1,
+        wrong_count: (card.wrong_count || 0) + (grade === 'again' ? 1 : 0),
+        history
+    };
+};
+
+module.exports = {
+    GRADES,
+    toDate,
+    normalizeGrade,
+    isDue,
+    byDueDate,
+    statusFor,
+    scheduleReview
+};
@@ -0,0 +1,79 @@
+// Server-Sent Events helpers for streaming model output
+// Event protocol:
+//   event: token  data: { "text": "<delta>" }
+//   event: done   data: { "response": "<full assistant message>" }
+//   event: error  data: { "error": "<message>", "aborted": true|false }
+
+// Client asked for a stream either with { stream: true } or Accept: text/event-stream
+const wantsStream = (req, requestData) => {
+    if (requestData && (requestData.stream === true || requestData.stream === 'true')) return true;
+    const accept = req.headers && req.headers.accept;
+    return typeof accept === 'string' && accept.includes('text/event-stream');
+};
+
+const openEventStream = (res) => {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+};
+
+const sendEvent = (res, event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Streams a chat completion to the client token by token.
+// onComplete(fullText) runs once the model has finished (persist history there);
+// its result is awaited before the final "done" event is sent.
+const streamChatCompletion = async ({ llm, task = 'chat', messages, res, onComplete, logger = console }) => {
+    const controller = new AbortController();
+    let clientGone = false;
+
+    // Stop generating (and billing) if the client disconnects mid-stream
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            clientGone = true;
+            controller.abort();
+        }
+    });
+
+    openEventStream(res);
+
+    let fullText = '';
+
+    try {
+        const stream = await llm.stream(task, { messages, signal: controller.signal });
+
+        for await (const delta of stream) {
+            fullText += delta;
+            sendEvent(res, 'token', { text: delta });
+        }
+
+        if (onComplete) {
+            await onComplete(fullText);
+        }
+
+        sendEvent(res, 'done', { response: fullText });
+        res.end();
+    } catch (error) {
+        const aborted = clientGone || error.name === 'AbortError' || error.name === 'APIUserAbortError';
+        logger.error(aborted ? "Chat stream aborted" : "Error streaming chat response", error);
+        sendEvent(res, 'error', {
+            error: aborted ? "Stream aborted" : error.message,
+            aborted
+        });
+        if (!res.writableEnded) res.end();
+    }
+};
+
+module.exports = {
+    wantsStream,
+    openEventStream,
+    sendEvent,
+    streamChatCompletion
+};
@@ -0,0 +1,215 @@
+// Progress statistics for one target language, bucketed by day or week
+// (weeks start on Monday) in the learner's timezone:
+//   words    - cards per status at the end of each bucket, replayed from each
+//              card's review history (the last 20 reviews per card)
+//   reviews  - answers and accuracy per bucket ("again" counts as wrong), plus
+//              wrong answers and current correct streaks from the card counters
+//   messages - messages sent per chat mode (older messages without a mode: "unknown")
+//   lessons  - lessons summarized (lesson records)
+//   mistakes - most frequent error notebook categories in the period
+
+const { toDate, statusFor } = require('./srs');
+const { localDate, shiftDate } = require('./activity');
+const { aggregateByCategory } = require('./mistakes');
+
+const BUCKETS = ['day', 'week'];
+const MAX_DAYS = 365;
+const STRONG_STREAK = 3;        // correct answers in a row for a "strong" word
+const TOP_CATEGORIES = 5;
+
+const STATUSES = ['new', 'learning', 'weak', 'known'];
+
+// Monday of the week containing the date ('YYYY-MM-DD')
+const weekStart = (date) => {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return shiftDate(date, -((weekday + 6) % 7));
+};
+
+// userWords, dialogs, lessons: repositories (lib/repositories.js),
+// getRecentMistakes(userId, language) -> error notebook entries, newest first,
+// defaultLanguage: language of lesson records written before languages were tracked
+const createStatsService = ({ userWords, dialogs, lessons, getRecentMistakes, defaultLanguage }) => {
+    // -> { from, to, keys, keyOf } for the last `days` days
+    const buildBuckets = (bucket, days, timeZone) => {
+        const to = localDate(new Date(), timeZone);
+        const from = shiftDate(to, -(days - 1));
+        const keyOf = (date) => (bucket === 'week' ? weekStart(date) : date);
+
+        const keys = [];
+        for (let date = from; date <= to; date = shiftDate(date, 1)) {
+            const key = keyOf(date);
+            if (keys[keys.length - 1] !== key) keys.push(key);
+        }
+        return { from, to, keys, keyOf };
+    };
+
+    // Last date covered by a bucket, clipped to today
+    const bucketEnd = (key, bucket, to) => {
+        const end = bucket === 'week' ? shiftDate(key, 6) : key;
+        return end < to ? end : to;
+    };
+
+    const wordStats = async (userId, language, { bucket, timeZone, range }) => {
+        const cards = await userWords.list(userId, language);
+
+        const current = { new: 0, learning: 0, weak: 0, known: 0 };
+        const reviews = new Map(range.keys.map(key => [key, { total: 0, correct: 0 }]));
+        const timelines = [];   // per card: [{ date, status }] oldest first
+        let wrongAnswers = 0;
+        let strongWords = 0;
+
+        cards.forEach(card => {
+            const status = STATUSES.includes(card.status) ? card.status : 'learning';
+            current[status] += 1;
+            wrongAnswers += card.wrong_count || 0;
+            if ((card.correct_streak || 0) >= STRONG_STREAK) strongWords += 1;
+
+            const timeline = [];
+            (card.history || []).forEach(entry => {
+                const reviewedAt = toDate(entry.reviewedAt);
+                if (!reviewedAt) return;
+                const date = localDate(reviewedAt, timeZone);
+                timeline.push({ date, status: statusFor(entry.grade, entry.interval) });
+
+                if (date >= range.from && date <= range.to) {
+                    const stats = reviews.get(range.keyOf(date));
+                    stats.total += 1;
+                    if (entry.grade !== 'again') stats.correct += 1;
+                }
+            });
+            timelines.push(timeline);
+        });
+
+        const series = range.keys.map(key => {
+            const end = bucketEnd(key, bucket, range.to);
+            const counts = { learning: 0, weak: 0, known: 0 };
+            timelines.forEach(timeline => {
+                const last = timeline.filter(t => t.date <= end).pop();
+                if (last) counts[last.status] += 1;
+            });
+            return { bucket: key, ...counts };
+        });
+
+        const reviewSeries = range.keys.map(key => {
+            const { total, correct } = reviews.get(key);
+            return { bucket: key, total, correct, accuracy: total > 0 ? Math.round((correct / total) * 100) / 100 : null };
+        });
+        const total = reviewSeries.reduce((sum, r) => sum + r.total, 0);
+        const correct = reviewSeries.reduce((sum, r) => sum + r.correct, 0);
+
+        return {
+            words: { current, total: cards.length, series },
+            reviews: {
+                total,
+                correct,
+                accuracy: total > 0 ? Math.round((correct / total) * 100) / 100 : null,
+                wrongAnswers,
+                strongWords,
+                series: reviewSeries
+            }
+        };
+    };
+
+    const messageStats = async (userId, language, { timeZone, range, since }) => {
+        const messages = await dialogs.since(userId, language, since);
+
+        const byMode = {};
+        const perBucket = new Map(range.keys.map(key => [key, { total: 0, byMode: {} }]));
+
+        messages.forEach(message => {
+            const createdAt = toDate(message.createdAt);
+            if (message.role !== 'user' || !createdAt) return;
+
+            const date = localDate(createdAt, timeZone);
+            if (date < range.from) return;
+
+            const mode = message.mode || 'unknown';
+            byMode[mode] = (byMode[mode] || 0) + 1;
+            const stats = perBucket.get(range.keyOf(date));
+            stats.total += 1;
+            stats.byMode[mode] = (stats.byMode[mode] || 0) + 1;
+        });
+
+        return {
+            total: Object.values(byMode).reduce((sum, n) => sum + n, 0),
+            byMode,
+            series: range.keys.map(key => ({ bucket: key, ...perBucket.get(key) }))
+        };
+    };
+
+    const lessonStats = async (userId, language, { timeZone, range, since }) => {
+        const records = await lessons.recordsSince(userId, since);
+
+        const perBucket = new Map(range.keys.map(key => [key, 0]));
+        const byLesson = {};
+        let total = 0;
+
+        records.forEach(record => {
+            const createdAt = toDate(record.createdAt);
+            if (!createdAt || (record.language || defaultLanguage) !== language) return;
+
+            const date = localDate(createdAt, timeZone);
+            if (date < range.from) return;
+
+            total += 1;
+            perBucket.set(range.keyOf(date), perBucket.get(range.keyOf(date)) + 1);
+            if (record.lessonId) byLesson[record.lessonId] = (byLesson[record.lessonId] || 0) + 1;
+        });
+
+        return {
+            total,
+            byLesson,
+            series: range.keys.map(key => ({ bucket: key, count: perBucket.get(key) }))
+        };
+    };
+
+    const mistakeStats = async (userId, language, { timeZone, range }) => {
+        const recent = (await getRecentMistakes(userId, language))
+            .filter(m => {
+                const createdAt = toDate(m.createdAt);
+                return createdAt && localDate(createdAt, timeZone) >= range.from;
+            });
+
+        return {
+            total: recent.length,
+            topCategories: aggregateByCategory(recent)
+                .slice(0, TOP_CATEGORIES)
+                .map(({ category, count, lastSeen }) => ({ category, count, lastSeen }))
+        };
+    };
+
+    const getStats = async (userId, language, { bucket = 'day', days = 30, timeZone = 'UTC' } = {}) => {
+        const dayCount = Math.min(Math.max(parseInt(days) || 30, 1), MAX_DAYS);
+        const range = buildBuckets(bucket, dayCount, timeZone);
+        // Queries start a day early so every timezone's first local day is covered
+        const since = new Date(`${shiftDate(range.from, -1)}T00:00:00Z`);
+
+        const [wordsAndReviews, messages, lessons, mistakes] = await Promise.all([
+            wordStats(userId, language, { bucket, timeZone, range }),
+            messageStats(userId, language, { timeZone, range, since }),
+            lessonStats(userId, language, { timeZone, range, since }),
+            mistakeStats(userId, language, { timeZone, range })
+        ]);
+
+        return {
+            language,
+            bucket,
+            timezone: timeZone,
+            from: range.from,
+            to: range.to,
+            ...wordsAndReviews,
+            messages,
+            lessons,
+            mistakes
+        };
+    };
+
+    return {
+        getStats
+    };
+};
+
+module.exports = {
+    BUCKETS,
+    createStatsService
+};
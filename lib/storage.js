@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+
+// Storage backends: { name, db, FieldValue } for lib/repositories.js and the
+// services that keep their own collections (activity, usage, quizzes, ...)
+//   firestore  firebase-admin Firestore (default)
+//   memory     in-process store with the part of the Firestore API this project
+//              uses; data lives until the process exits. For offline runs and
+//              integration tests (STORAGE=memory).
+// The memory store follows Firestore semantics where the code depends on them:
+// set / merge, FieldValue.serverTimestamp / increment, Dates read back as
+// Timestamps, transactions (run one at a time), where / orderBy / limit / select
+// queries (documents missing the field are skipped) and getAll / batch.
+
+const BACKENDS = ['firestore', 'memory'];
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Timestamp as read back from the memory store (same fields as Firestore's)
+class MemoryTimestamp {
+    constructor(millis) {
+        this._seconds = Math.floor(millis / 1000);
+        this._nanoseconds = (millis % 1000) * 1e6;
+    }
+
+    toMillis() {
+        return this._seconds * 1000 + Math.floor(this._nanoseconds / 1e6);
+    }
+
+    toDate() {
+        return new Date(this.toMillis());
+    }
+}
+
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+const INCREMENT = Symbol('increment');
+
+const MemoryFieldValue = {
+    serverTimestamp: () => ({ [SERVER_TIMESTAMP]: true }),
+    increment: (n) => ({ [INCREMENT]: n })
+};
+
+const isPlainObject = (value) => Boolean(value)
+    && typeof value === 'object'
+    && Object.getPrototypeOf(value) === Object.prototype
+    && !value[SERVER_TIMESTAMP]
+    && value[INCREMENT] === undefined;
+
+const autoId = () => Array.from(crypto.randomBytes(20), b => AUTO_ID_CHARS[b % AUTO_ID_CHARS.length]).join('');
+
+// Comparable form of a field value (timestamps and dates by time)
+const comparable = (value) => {
+    if (value instanceof MemoryTimestamp) return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+};
+
+const compare = (a, b) => {
+    const x = comparable(a);
+    const y = comparable(b);
+    if (x < y) return -1;
+    if (x > y) return 1;
+    return 0;
+};
+
+const fieldOf = (data, field) => field.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+
+const matches = (data, [field, op, expected]) => {
+    const value = fieldOf(data, field);
+    if (value === undefined) return false;
+    switch (op) {
+        case '==': return compare(value, expected) === 0;
+        case '!=': return compare(value, expected) !== 0;
+        case '<': return compare(value, expected) < 0;
+        case '<=': return compare(value, expected) <= 0;
+        case '>': return compare(value, expected) > 0;
+        case '>=': return compare(value, expected) >= 0;
+        case 'in': return expected.some(e => compare(value, e) === 0);
+        case 'array-contains': return Array.isArray(value) && value.some(v => compare(v, expected) === 0);
+        default: throw new Error(`Unsupported query operator: ${op}`);
+    }
+};
+
+const createMemoryFirestore = ({ now = Date.now } = {}) => {
+    const collections = new Map();    // collection path -> Map(id -> data)
+    let lastTimestamp = 0;
+    let transactionQueue = Promise.resolve();
+
+    // Server timestamps strictly increase, so documents written in a row keep their order
+    const serverTime = () => {
+        lastTimestamp = Math.max(now(), lastTimestamp + 1);
+        return new MemoryTimestamp(lastTimestamp);
+    };
+
+    const documentsOf = (path) => {
+        if (!collections.has(path)) collections.set(path, new Map());
+        return collections.get(path);
+    };
+
+    // Value as stored: sentinels resolved against the previous value, Dates as Timestamps
+    const resolveValue = (value, previous, field) => {
+        if (value === undefined) {
+            throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${field}")`);
+        }
+        if (value && value[SERVER_TIMESTAMP]) return serverTime();
+        if (value && value[INCREMENT] !== undefined) return (typeof previous === 'number' ? previous : 0) + value[INCREMENT];
+        if (value instanceof Date) return new MemoryTimestamp(value.getTime());
+        if (Array.isArray(value)) return value.map((item, i) => resolveValue(item, undefined, `${field}.${i}`));
+        if (isPlainObject(value)) {
+            return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, resolveValue(v, undefined, `${field}.${key}`)]));
+        }
+        return value;
+    };
+
+    // merge: nested maps are merged field by field, like set(..., { merge: true })
+    const mergeValue = (previous, value, field) => {
+        if (!isPlainObject(value)) return resolveValue(value, previous, field);
+        const base = isPlainObject(previous) ? { ...previous } : {};
+        Object.entries(value).forEach(([key, v]) => {
+            base[key] = mergeValue(base[key], v, field ? `${field}.${key}` : key);
+        });
+        return base;
+    };
+
+    // Copies handed out to callers, so they cannot change stored data
+    const copy = (value) => {
+        if (Array.isArray(value)) return value.map(copy);
+        if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, copy(v)]));
+        return value;
+    };
+
+    const writeDocument = (ref, data, { merge = false } = {}) => {
+        const documents = documentsOf(ref.parentPath);
+        const previous = documents.get(ref.id);
+        documents.set(ref.id, merge ? mergeValue(previous, data, '') : mergeValue(undefined, data, ''));
+    };
+
+    const snapshotOf = (ref, fields = null) => {
+        const stored = documentsOf(ref.parentPath).get(ref.id);
+        const data = stored && fields ? Object.fromEntries(fields.filter(f => stored[f] !== undefined).map(f => [f, stored[f]])) : stored;
+        return {
+            id: ref.id,
+            ref,
+            exists: stored !== undefined,
+            data: () => (stored === undefined ? undefined : copy(data)),
+            get: (field) => (stored === undefined ? undefined : copy(fieldOf(stored, field)))
+        };
+    };
+
+    const querySnapshotOf = (docs) => ({
+        docs,
+        size: docs.length,
+        empty: docs.length === 0,
+        forEach: (callback) => docs.forEach(callback)
+    });
+
+    const documentRef = (parentPath, id) => {
+        const ref = {
+            id,
+            parentPath,
+            path: `${parentPath}/${id}`,
+            get: async () => snapshotOf(ref),
+            set: async (data, options) => writeDocument(ref, data, options),
+            update: async (data) => {
+                if (!documentsOf(parentPath).has(id)) throw new Error(`No document to update: ${ref.path}`);
+                writeDocument(ref, data, { merge: true });
+            },
+            delete: async () => {
+                documentsOf(parentPath).delete(id);
+            },
+            collection: (name) => collectionRef(`${ref.path}/${name}`)
+        };
+        return ref;
+    };
+
+    const query = (path, { filters = [], order = [], limit = null, fields = null } = {}) => {
+        const options = { filters, order, limit, fields };
+        return {
+            where: (field, op, value) => query(path, { ...options, filters: [...filters, [field, op, value]] }),
+            orderBy: (field, direction = 'asc') => query(path, { ...options, order: [...order, [field, direction]] }),
+            limit: (n) => query(path, { ...options, limit: n }),
+            select: (...selected) => query(path, { ...options, fields: selected }),
+            get: async () => {
+                let entries = [...documentsOf(path).entries()]
+                    .filter(([, data]) => filters.every(filter => matches(data, filter)))
+                    .filter(([, data]) => order.every(([field]) => fieldOf(data, field) !== undefined));
+
+                entries.sort(([idA, a], [idB, b]) => {
+                    for (const [field, direction] of order) {
+                        const result = compare(fieldOf(a, field), fieldOf(b, field));
+                        if (result !== 0) return direction === 'desc' ? -result : result;
+                    }
+                    return compare(idA, idB);
+                });
+                if (limit !== null) entries = entries.slice(0, limit);
+
+                return querySnapshotOf(entries.map(([id]) => snapshotOf(documentRef(path, id), fields)));
+            }
+        };
+    };
+
+    const collectionRef = (path) => ({
+        ...query(path),
+        id: path.split('/').pop(),
+        path,
+        doc: (id) => documentRef(path, id === undefined ? autoId() : String(id)),
+        add: async (data) => {
+            const ref = documentRef(path, autoId());
+            writeDocument(ref, data);
+            return ref;
+        }
+    });
+
+    const collection = (path) => {
+        if (path.split('/').length % 2 === 0) throw new Error(`Not a collection path: ${path}`);
+        return collectionRef(path);
+    };
+
+    // Writes are buffered and applied together when fn resolves
+    const createWriteBuffer = () => {
+        const writes = [];
+        return {
+            writes,
+            set: (ref, data, options) => writes.push(() => writeDocument(ref, data, options)),
+            update: (ref, data) => writes.push(() => writeDocument(ref, data, { merge: true })),
+            delete: (ref) => writes.push(() => documentsOf(ref.parentPath).delete(ref.id))
+        };
+    };
+
+    const runTransaction = (fn) => {
+        const run = transactionQueue.then(async () => {
+            const buffer = createWriteBuffer();
+            const transaction = {
+                get: async (refOrQuery) => refOrQuery.get(),
+                set: (ref, data, options) => {
+                    buffer.set(ref, data, options);
+                    return transaction;
+                },
+                update: (ref, data) => {
+                    buffer.update(ref, data);
+                    return transaction;
+                },
+                delete: (ref) => {
+                    buffer.delete(ref);
+                    return transaction;
+                }
+            };
+            const result = await fn(transaction);
+            buffer.writes.forEach(write => write());
+            return result;
+        });
+        transactionQueue = run.catch(() => {});
+        return run;
+    };
+
+    const batch = () => {
+        const buffer = createWriteBuffer();
+        const writeBatch = {
+            set: (ref, data, options) => {
+                buffer.set(ref, data, options);
+                return writeBatch;
+            },
+            update: (ref, data) => {
+                buffer.update(ref, data);
+                return writeBatch;
+            },
+            delete: (ref) => {
+                buffer.delete(ref);
+                return writeBatch;
+            },
+            commit: async () => {
+                buffer.writes.forEach(write => write());
+            }
+        };
+        return writeBatch;
+    };
+
+    const db = {
+        collection,
+        runTransaction,
+        batch,
+        getAll: async (...refs) => refs.map(ref => snapshotOf(ref))
+    };
+
+    return {
+        db,
+        FieldValue: MemoryFieldValue
+    };
+};
+
+// admin: initialized firebase-admin app (firestore backend only)
+const createStorage = ({ backend = 'firestore', admin = null } = {}) => {
+    if (backend === 'memory') {
+        return { name: 'memory', ...createMemoryFirestore() };
+    }
+    if (backend !== 'firestore') {
+        throw new Error(`Unknown STORAGE backend "${backend}" (expected ${BACKENDS.join(' or ')})`);
+    }
+    return { name: 'firestore', db: admin.firestore(), FieldValue: admin.firestore.FieldValue };
+};
+
+const createStorageFromEnv = ({ env = process.env, admin = null } = {}) =>
+    createStorage({ backend: env.STORAGE || 'firestore', admin });
+
+module.exports = {
+    BACKENDS,
+    MemoryTimestamp,
+    createMemoryFirestore,
+    createStorage,
+    createStorageFromEnv
+};
@@ -0,0 +1,173 @@
+// Speech-to-text provider layer
+// Recorded audio (webm, ogg or mp3) goes to a pluggable provider; Yandex SpeechKit
+// by default, or a local stub (STT_PROVIDER=stub) for offline runs and tests.
+//
+// Provider interface:
+//   name, formats: ['webm' | 'ogg' | 'mp3'], maxBytes
+//   transcribe({ audio: Buffer, format, locale, signal }) -> { text }
+
+const { webmToOggOpus } = require('./opus');
+
+const AUDIO_FORMATS = ['webm', 'ogg', 'mp3'];
+
+const MAX_AUDIO_BYTES = 5 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 20000;
+
+const YANDEX_STT_URL = "https://stt.api.cloud.yandex.net/speech/v1/stt:recognize";
+
+const MIME_TYPES = {
+    'audio/webm': 'webm',
+    'video/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/opus': 'ogg',
+    'application/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3'
+};
+
+const sttError = (status, message) => Object.assign(new Error(message), { status });
+
+// Container from the file's magic bytes, null when unrecognized
+const sniffAudioFormat = (buffer) => {
+    if (buffer.length < 4) return null;
+    if (buffer[0] === 0x1a && buffer[1] === 0x45 && buffer[2] === 0xdf && buffer[3] === 0xa3) return 'webm';
+    if (buffer.toString('latin1', 0, 4) === 'OggS') return 'ogg';
+    if (buffer.toString('latin1', 0, 3) === 'ID3') return 'mp3';
+    if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'mp3';    // MPEG frame sync
+    return null;
+};
+
+// 'audio/webm;codecs=opus' -> 'webm'
+const formatFromMimeType = (mimeType) =>
+    MIME_TYPES[String(mimeType || '').split(';')[0].trim().toLowerCase()] || null;
+
+// Base64 audio (or a data: URL) from a request body -> { audio: Buffer, format }.
+// The magic bytes win over the declared mimeType.
+const decodeAudio = ({ audio, mimeType }) => {
+    if (typeof audio !== 'string' || !audio) throw sttError(400, "No audio provided");
+
+    let declared = mimeType;
+    let data = audio;
+    const dataUrl = audio.match(/^data:([^,]*?)(;base64)?,/);
+    if (dataUrl) {
+        declared = declared || dataUrl[1];
+        data = audio.slice(dataUrl[0].length);
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length === 0) throw sttError(400, "Audio is empty or not base64");
+    if (buffer.length > MAX_AUDIO_BYTES) {
+        throw sttError(413, `Audio is too large (max ${MAX_AUDIO_BYTES / 1024 / 1024} MB)`);
+    }
+
+    const format = sniffAudioFormat(buffer) || formatFromMimeType(declared);
+    if (!format) throw sttError(415, `Unsupported audio format (expected ${AUDIO_FORMATS.join(', ')})`);
+
+    return { audio: buffer, format };
+};
+
+// --- Providers ---
+
+// Synchronous recognition (API v1): up to 1 MB / 30 seconds of OggOpus or MP3 audio.
+// WebM Opus recordings are remuxed to Ogg Opus first (lib/opus.js).
+const createYandexSpeechKitProvider = ({ apiKey, folderId }) => ({
+    name: 'yandex',
+    formats: AUDIO_FORMATS,
+    maxBytes: 1024 * 1024,
+
+    async transcribe({ audio, format, locale, signal }) {
+        if (!apiKey) throw sttError(503, "Speech recognition is not configured");
+
+        const upload = format === 'webm' ? webmToOggOpus(audio) : audio;
+
+        const params = new URLSearchParams({
+            topic: 'general',
+            lang: locale,
+            format: format === 'mp3' ? 'mp3' : 'oggopus'
+        });
+        if (folderId) params.set('folderId', folderId);
+
+        const response = await fetch(`${YANDEX_STT_URL}?${params}`, {
+            method: 'POST',
+            headers: { Authorization: `Api-Key ${apiKey}` },
+            body: upload,
+            signal
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const detail = body.error_message || `HTTP ${response.status}`;
+            // 400: audio SpeechKit could not decode; anything else is on our side
+            throw response.status === 400
+                ? sttError(422, `Audio could not be recognized: ${detail}`)
+                : sttError(502, `Speech recognition failed: ${detail}`);
+        }
+
+        return { text: body.result || '' };
+    }
+});
+
+// Offline provider: `transcript` when given, otherwise the upload decoded as
+// UTF-8 text, so tests can send a sentence as the "recording".
+const createStubSTTProvider = ({ transcript } = {}) => ({
+    name: 'stub',
+    formats: AUDIO_FORMATS,
+    maxBytes: MAX_AUDIO_BYTES,
+    calls: [],
+
+    async transcribe(request) {
+        this.calls.push(request);
+        if (typeof transcript === 'string') return { text: transcript };
+        return { text: request.audio.toString('utf8').trim() };
+    }
+});
+
+// --- Recognizer ---
+
+const createSpeechRecognizer = ({ provider, timeoutMs = DEFAULT_TIMEOUT_MS, logger = console }) => ({
+    provider,
+
+    // locale: BCP-47 code of the spoken language, e.g. 'en-US' -> transcript text
+    async transcribe({ audio, format, locale }) {
+        if (!provider.formats.includes(format)) {
+            throw sttError(415, `${format} audio is not supported by the ${provider.name} provider (use ${provider.formats.join(', ')})`);
+        }
+        if (audio.length > provider.maxBytes) {
+            throw sttError(413, `Audio is too large for the ${provider.name} provider (max ${Math.round(provider.maxBytes / 1024)} KB)`);
+        }
+
+        const started = Date.now();
+        try {
+            const { text } = await provider.transcribe({ audio, format, locale, signal: AbortSignal.timeout(timeoutMs) });
+            logger.info(`[STT] ${provider.name} ${format} ${audio.length}B (${locale}) in ${Date.now() - started}ms`);
+            return text.trim();
+        } catch (error) {
+            if (error.name === 'TimeoutError') throw sttError(504, `Speech recognition timed out after ${timeoutMs}ms`);
+            throw error;
+        }
+    }
+});
+
+// Picks the provider from STT_PROVIDER (yandex | stub)
+const createSpeechRecognizerFromEnv = ({ env = process.env, logger = console } = {}) => {
+    const providerName = env.STT_PROVIDER || 'yandex';
+    const provider = providerName === 'stub'
+        ? createStubSTTProvider({ transcript: env.STT_STUB_TRANSCRIPT })
+        : createYandexSpeechKitProvider({ apiKey: env.YANDEX_SPEECHKIT_API_KEY, folderId: env.YANDEX_FOLDER_ID });
+
+    return createSpeechRecognizer({
+        provider,
+        timeoutMs: parseInt(env.STT_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+        logger
+    });
+};
+
+module.exports = {
+    AUDIO_FORMATS,
+    sniffAudioFormat,
+    decodeAudio,
+    createYandexSpeechKitProvider,
+    createStubSTTProvider,
+    createSpeechRecognizer,
+    createSpeechRecognizerFromEnv
+};
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Text-to-speech: Google Cloud TTS behind a content-addressed MP3 cache
+// Voices come from the target's `tts` config (data/languages.json):
+//   { languageCode, name, ssmlGender, speakingRate, voices: { [accent]: { MALE, FEMALE } } }
+// A request may pick gender, accent and speed, and send SSML or ask for generated
+// SSML (word-by-word playback, pauses after sentences). Audio is cached under the
+// SHA-256 of input + voice + rate, in a local directory (bounded, least recently
+// used files go first) or a Cloud Storage bucket.
+
+const GENDERS = ['MALE', 'FEMALE'];
+const DEFAULT_RATE = 1.0;
+const MIN_RATE = 0.25;
+const MAX_RATE = 2.0;
+const MAX_INPUT_CHARS = 5000;       // Google's limit is 5000 bytes of input
+const WORD_BREAK_MS = 400;
+const MAX_PAUSE_MS = 3000;
+const DISK_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+const DISK_CACHE_MAX_ENTRIES = 2000;
+
+const ttsError = (status, message) => Object.assign(new Error(message), { status });
+
+const escapeSsml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Plain text -> SSML with a pause between words (wordByWord) and/or after each sentence
+const buildSsml = (text, { wordByWord = false, sentencePauseMs = 0 } = {}) => {
+    const sentences = text.match(/[^.!?…]+[.!?…]*["'»”)]*/g) || [text];
+    const body = sentences.map(s => s.trim()).filter(Boolean).map(sentence => {
+        const spoken = wordByWord
+            ? sentence.split(/\s+/).map(escapeSsml).join(` <break time="${WORD_BREAK_MS}ms"/> `)
+            : escapeSsml(sentence);
+        return sentencePauseMs > 0
+            ? `<s>${spoken}</s><break time="${sentencePauseMs}ms"/>`
+            : `<s>${spoken}</s>`;
+    }).join(' ');
+    return `<speak>${body}</speak>`;
+};
+
+// Target tts config + { gender: male|female, accent: 'en-GB' } -> Google voice selection.
+// Without options the configured default voice is used.
+const resolveVoice = (tts, { gender, accent } = {}) => {
+    const voices = tts.voices || {};
+    const wantedGender = gender ? String(gender).toUpperCase() : null;
+    if (wantedGender && !GENDERS.includes(wantedGender)) {
+        throw ttsError(400, "Invalid gender (expected male, female)");
+    }
+
+    let languageCode = tts.languageCode;
+    if (accent) {
+        languageCode = Object.keys(voices).find(code => code.toLowerCase() === String(accent).toLowerCase());
+        if (!languageCode) {
+            throw ttsError(400, `Unsupported accent (expected ${Object.keys(voices).join(', ') || tts.languageCode})`);
+        }
+    }
+
+    if (!wantedGender && languageCode === tts.languageCode) {
+        return { languageCode, name: tts.name, ssmlGender: tts.ssmlGender };
+    }
+
+    const ssmlGender = wantedGender || tts.ssmlGender;
+    const name = voices[languageCode] && voices[languageCode][ssmlGender];
+    if (!name) throw ttsError(400, `No ${ssmlGender.toLowerCase()} voice for ${languageCode}`);
+    return { languageCode, name, ssmlGender };
+};
+
+const clampRate = (speed, fallback) => {
+    const rate = speed === undefined || speed === null ? fallback : Number(speed);
+    return Number.isFinite(rate) ? Math.min(Math.max(rate, MIN_RATE), MAX_RATE) : fallback;
+};
+
+// Request body options -> { input: { text } | { ssml }, voice, speakingRate }
+// ssml: a complete <speak> document; wordByWord / sentencePause (ms) build one from text
+const buildSpeechRequest = (tts, { text, ssml, gender, accent, speed, wordByWord, sentencePause } = {}) => {
+    let input;
+    if (ssml !== undefined && ssml !== null) {
+        const markup = String(ssml).trim();
+        if (!/^<speak[\s>]/.test(markup) || !markup.endsWith('</speak>')) {
+            throw ttsError(400, "SSML must be a <speak> document");
+        }
+        input = { ssml: markup };
+    } else {
+        const plain = typeof text === 'string' ? text.trim() : '';
+        if (!plain) throw ttsError(400, "No text provided");
+        const sentencePauseMs = Math.min(Math.max(parseInt(sentencePause) || 0, 0), MAX_PAUSE_MS);
+        input = wordByWord || sentencePauseMs > 0
+            ? { ssml: buildSsml(plain, { wordByWord: Boolean(wordByWord), sentencePauseMs }) }
+            : { text: plain };
+    }
+
+    if ((input.text || input.ssml).length > MAX_INPUT_CHARS) {
+        throw ttsError(400, `Text is too long (max ${MAX_INPUT_CHARS} characters)`);
+    }
+
+    return {
+        input,
+        voice: resolveVoice(tts, { gender, accent }),
+        speakingRate: clampRate(speed, tts.speakingRate || DEFAULT_RATE)
+    };
+};
+
+const cacheKey = ({ input, voice, speakingRate }) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify([input.text ?? null, input.ssml ?? null, voice.languageCode, voice.name, speakingRate, 'MP3']))
+    .digest('hex');
+
+// --- Caches: get(key) -> Buffer | null, put(key, audio) ---
+
+// The directory may live in instance memory (Cloud Functions' temp dir), so it is
+// kept under maxBytes / maxEntries: after each write the least recently used MP3s
+// (by mtime, refreshed on every hit) are removed.
+const createDiskAudioCache = ({ dir, maxBytes = DISK_CACHE_MAX_BYTES, maxEntries = DISK_CACHE_MAX_ENTRIES }) => {
+    const fileFor = (key) => path.join(dir, `${key}.mp3`);
+    let pruning = null;
+
+    const prune = async () => {
+        const files = [];
+        for (const name of await fs.readdir(dir)) {
+            if (!name.endsWith('.mp3')) continue;
+            const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+            if (stat) files.push({ name, size: stat.size, mtime: stat.mtimeMs });
+        }
+
+        files.sort((a, b) => b.mtime - a.mtime);
+        let bytes = 0;
+        const stale = files.filter((file, index) => {
+            bytes += file.size;
+            return index >= maxEntries || bytes > maxBytes;
+        });
+        await Promise.all(stale.map(file => fs.rm(path.join(dir, file.name), { force: true })));
+    };
+
+    return {
+        name: 'disk',
+
+        async get(key) {
+            try {
+                const audio = await fs.readFile(fileFor(key));
+                const now = new Date();
+                await fs.utimes(fileFor(key), now, now).catch(() => {});
+                return audio;
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        // Written to a temp file first so readers never see a partial MP3
+        async put(key, audio) {
+            await fs.mkdir(dir, { recursive: true });
+            const temp = `${fileFor(key)}.${process.pid}.${Date.now()}.tmp`;
+            await fs.writeFile(temp, audio);
+            await fs.rename(temp, fileFor(key));
+
+            // One pass at a time; writes during a pass are picked up by the next one
+            if (!pruning) {
+                pruning = prune().finally(() => { pruning = null; });
+            }
+            await pruning;
+        }
+    };
+};
+
+// bucket: a @google-cloud/storage Bucket, e.g. admin.storage().bucket(name)
+const createStorageAudioCache = ({ bucket, prefix = 'tts-cache/' }) => ({
+    name: 'storage',
+
+    async get(key) {
+        try {
+            const [audio] = await bucket.file(`${prefix}${key}.mp3`).download();
+            return audio;
+        } catch (error) {
+            if (error.code === 404) return null;
+            throw error;
+        }
+    },
+
+    async put(key, audio) {
+        await bucket.file(`${prefix}${key}.mp3`).save(audio, {
+            contentType: 'audio/mpeg',
+            resumable: false
+        });
+    }
+});
+
+// Offline stand-in for TextToSpeechClient (TTS_PROVIDER=stub): every request gets
+// one silent MP3 frame; requests are kept in `calls`
+const SILENT_MP3_FRAME = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(413)]);
+
+const createStubTTSClient = () => ({
+    calls: [],
+
+    async synthesizeSpeech(request) {
+        this.calls.push(request);
+        return [{ audioContent: SILENT_MP3_FRAME }];
+    }
+});
+
+// createClient() -> TextToSpeechClient, created on first use and reused.
+// Cache errors are logged and never fail a request.
+const createSpeechSynthesizer = ({ createClient, cache = null, logger = console }) => {
+    let client = null;
+    const getClient = () => {
+        if (!client) client = createClient();
+        return client;
+    };
+
+    // -> { audio: Buffer, key, cached }
+    const synthesize = async ({ input, voice, speakingRate }) => {
+        const key = cacheKey({ input, voice, speakingRate });
+
+        if (cache) {
+            const hit = await cache.get(key).catch(error => {
+                logger.warn(`[TTS] ${cache.name} cache read failed: ${error.message}`);
+                return null;
+            });
+            if (hit) return { audio: hit, key, cached: true };
+        }
+
+        let response;
+        try {
+            [response] = await getClient().synthesizeSpeech({
+                input,
+                voice,
+                audioConfig: { audioEncoding: 'MP3', speakingRate }
+            });
+        } catch (error) {
+            // gRPC INVALID_ARGUMENT: malformed SSML, unknown voice
+            if (error.code === 3) throw ttsError(400, `Speech synthesis rejected the request: ${error.details || error.message}`);
+            throw error;
+        }
+
+        const audio = Buffer.from(response.audioContent);
+        logger.info(`[TTS] ${voice.name} x${speakingRate}: ${audio.length}B`);
+
+        if (cache) {
+            cache.put(key, audio).catch(error => logger.warn(`[TTS] ${cache.name} cache write failed: ${error.message}`));
+        }
+        return { audio, key, cached: false };
+    };
+
+    // tts: the target language's voice config, options: see buildSpeechRequest
+    const speak = (tts, options) => synthesize(buildSpeechRequest(tts, options));
+
+    return {
+        cache,
+        synthesize,
+        speak
+    };
+};
+
+module.exports = {
+    GENDERS,
+    escapeSsml,
+    buildSsml,
+    resolveVoice,
+    buildSpeechRequest,
+    createDiskAudioCache,
+    createStorageAudioCache,
+    createStubTTSClient,
+    createSpeechSynthesizer
+};
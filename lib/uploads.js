@@ -0,0 +1,113 @@
+// multipart/form-data uploads
+// Text parts become body fields, file parts (if any) become
+//   body.files: [{ field, filename, mimeType, data: Buffer }]
+// The verified userId (req.auth) is kept on the new body.
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+// 'form-data; name="image"; filename="a.jpg"' -> { name: 'image', filename: 'a.jpg' }
+const parseDisposition = (value) => {
+    const params = {};
+    (value.match(/;\s*[\w*-]+="(?:[^"\\]|\\.)*"|;\s*[\w*-]+=[^;]*/g) || []).forEach(param => {
+        const [, key, raw] = param.match(/;\s*([\w*-]+)=(.*)/);
+        params[key.toLowerCase()] = raw.trim().replace(/^"|"$/g, '').replace(/\\(.)/g, '$1');
+    });
+    return params;
+};
+
+// -> { fields: { [name]: string }, files: [...] }
+const parseMultipart = (buffer, contentType) => {
+    const match = String(contentType).match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+    if (!match) throw uploadError(400, "Multipart body without boundary");
+
+    const boundary = match[1] || match[2];
+    const delimiter = Buffer.from(`--${boundary}`);
+    const nextDelimiter = Buffer.from(`\r\n--${boundary}`);
+
+    const fields = {};
+    const files = [];
+    let position = buffer.indexOf(delimiter);
+    if (position < 0) throw uploadError(400, "Malformed multipart body");
+
+    while (true) {
+        position += delimiter.length;
+        if (buffer.toString('latin1', position, position + 2) === '--') break;     // closing delimiter
+        position += 2;                                                              // CRLF
+
+        const end = buffer.indexOf(nextDelimiter, position);
+        if (end < 0) throw uploadError(400, "Malformed multipart body");
+
+        const part = buffer.subarray(position, end);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd < 0) throw uploadError(400, "Malformed multipart body");
+
+        const headers = {};
+        part.subarray(0, headerEnd).toString('utf8').split('\r\n').forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        });
+        const disposition = parseDisposition(headers['content-disposition'] || '');
+        const data = part.subarray(headerEnd + 4);
+
+        if (disposition.name) {
+            if (disposition.filename !== undefined) {
+                files.push({
+                    field: disposition.name,
+                    filename: disposition.filename,
+                    mimeType: headers['content-type'] || 'application/octet-stream',
+                    data
+                });
+            } else {
+                fields[disposition.name] = data.toString('utf8');
+            }
+        }
+        position = end + 2;
+    }
+
+    return { fields, files };
+};
+
+const readStream = (req, maxBytes) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            reject(uploadError(413, `Upload is too large (max ${maxBytes / 1024 / 1024} MB)`));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+// (req, res, next) middleware; other content types pass through untouched.
+// Cloud Functions keep the raw body in req.rawBody, Express still has the stream.
+const createMultipartMiddleware = ({ maxBytes = MAX_UPLOAD_BYTES } = {}) => async (req, res, next) => {
+    if (!/^multipart\/form-data/i.test(req.headers['content-type'] || '')) return next();
+
+    try {
+        const raw = req.rawBody || await readStream(req, maxBytes);
+        if (raw.length > maxBytes) throw uploadError(413, `Upload is too large (max ${maxBytes / 1024 / 1024} MB)`);
+
+        const { fields, files } = parseMultipart(raw, req.headers['content-type']);
+        req.body = {
+            ...fields,
+            ...(files.length > 0 ? { files } : {}),
+            ...(req.auth ? { userId: req.auth.userId } : {})
+        };
+    } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+    }
+    next();
+};
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    parseMultipart,
+    createMultipartMiddleware
+};
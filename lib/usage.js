@@ -0,0 +1,230 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Rate limits, daily quotas and LLM token accounting
+// Per-minute limits (per user and per client IP) are fixed windows kept in memory,
+// so every instance enforces them on its own. Daily quotas use a per-day doc at
+// users/{userId}/usage/{YYYY-MM-DD} (UTC):
+//   { date, requests, llmCalls, promptTokens, completionTokens, totalTokens, tasks: { [task]: calls }, updatedAt }
+// A request is admitted in a transaction that bumps `requests`; the tokens of each
+// LLM call (completion.usage) are added by the LLM layer's onUsage hook and credited
+// to the user whose request is running (AsyncLocalStorage).
+// Limits come from users/{id}.tier (free | pro | unlimited, default free) and optional
+// per-user overrides in users/{id}.limits. 0 means no limit. Both fields are
+// server-managed; /updateProfile does not accept them.
+
+const TIERS = {
+    free: { requestsPerMinute: 10, dailyRequests: 200, dailyTokens: 200000 },
+    pro: { requestsPerMinute: 30, dailyRequests: 2000, dailyTokens: 2000000 },
+    unlimited: { requestsPerMinute: 0, dailyRequests: 0, dailyTokens: 0 }
+};
+const DEFAULT_TIER = 'free';
+const LIMIT_KEYS = Object.keys(TIERS.free);
+const DEFAULT_IP_REQUESTS_PER_MINUTE = 60;
+const WINDOW_MS = 60 * 1000;
+const LIMITS_CACHE_MS = 60 * 1000;
+const MAX_USAGE_DAYS = 30;
+
+const quotaError = (message, retryAfter) => Object.assign(new Error(message), { status: 429, retryAfter });
+
+// Date -> 'YYYY-MM-DD' (UTC)
+const utcDate = (date) => date.toISOString().slice(0, 10);
+
+// Seconds until the next UTC midnight, when daily quotas reset
+const secondsUntilReset = (now) => {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.max(Math.ceil((midnight - now) / 1000), 1);
+};
+
+// users/{id} data -> { tier, limits }; unknown tiers fall back to the default
+const resolveLimits = (userData) => {
+    const data = userData || {};
+    const tier = Object.prototype.hasOwnProperty.call(TIERS, data.tier) ? data.tier : DEFAULT_TIER;
+    const limits = { ...TIERS[tier] };
+    if (data.limits && typeof data.limits === 'object') {
+        LIMIT_KEYS.forEach(key => {
+            const value = Number(data.limits[key]);
+            if (data.limits[key] !== undefined && Number.isFinite(value) && value >= 0) limits[key] = Math.floor(value);
+        });
+    }
+    return { tier, limits };
+};
+
+// Fixed one-minute windows: hit(key, limit) -> seconds to wait, 0 when allowed
+const createWindowLimiter = ({ windowMs = WINDOW_MS, now = Date.now } = {}) => {
+    const windows = new Map();    // key -> { start, count }
+
+    const prune = (time) => {
+        windows.forEach((window, key) => {
+            if (time - window.start >= windowMs) windows.delete(key);
+        });
+    };
+
+    const hit = (key, limit) => {
+        if (!limit) return 0;
+        const time = now();
+        let window = windows.get(key);
+        if (!window || time - window.start >= windowMs) {
+            if (windows.size > 10000) prune(time);
+            window = { start: time, count: 0 };
+            windows.set(key, window);
+        }
+        if (window.count >= limit) {
+            return Math.max(Math.ceil((window.start + windowMs - time) / 1000), 1);
+        }
+        window.count += 1;
+        return 0;
+    };
+
+    return {
+        hit
+    };
+};
+
+// users: repository (lib/repositories.js) with the tier and limit overrides
+const createUsageTracker = ({
+    db,
+    users,
+    FieldValue,
+    ipRequestsPerMinute = DEFAULT_IP_REQUESTS_PER_MINUTE,
+    now = () => new Date(),
+    logger = console
+}) => {
+    const context = new AsyncLocalStorage();
+    const limiter = createWindowLimiter({ now: () => now().getTime() });
+    const limitsCache = new Map();    // userId -> { value, expiresAt }
+
+    const usageDoc = (userId, date) => db.collection('users').doc(String(userId)).collection('usage').doc(date);
+
+    const getLimits = async (userId) => {
+        const cached = limitsCache.get(userId);
+        if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+        const value = resolveLimits(await users.get(userId));
+        limitsCache.set(userId, { value, expiresAt: Date.now() + LIMITS_CACHE_MS });
+        return value;
+    };
+
+    // Throws a 429 error with `retryAfter` (seconds) when a limit is reached,
+    // otherwise counts the request towards today's quota
+    const admit = async (userId, ip) => {
+        if (ip) {
+            const wait = limiter.hit(`ip:${ip}`, ipRequestsPerMinute);
+            if (wait) throw quotaError("Too many requests from this address, slow down", wait);
+        }
+        if (!userId) return;
+
+        const { limits } = await getLimits(userId);
+        const wait = limiter.hit(`user:${userId}`, limits.requestsPerMinute);
+        if (wait) throw quotaError("Too many requests, slow down", wait);
+
+        const time = now();
+        const ref = usageDoc(userId, utcDate(time));
+        await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const day = doc.exists ? doc.data() : {};
+            if (limits.dailyRequests && (day.requests || 0) >= limits.dailyRequests) {
+                throw quotaError("Daily request quota reached", secondsUntilReset(time));
+            }
+            if (limits.dailyTokens && (day.totalTokens || 0) >= limits.dailyTokens) {
+                throw quotaError("Daily token quota reached", secondsUntilReset(time));
+            }
+            transaction.set(ref, {
+                date: utcDate(time),
+                requests: FieldValue.increment(1),
+                updatedAt: FieldValue.serverTimestamp()
+            }, { merge: true });
+        });
+    };
+
+    // LLM onUsage hook: { task, model, usage: { prompt_tokens, completion_tokens, total_tokens } }.
+    // Calls made outside a limited request are not attributed to anyone.
+    const recordLLMUsage = async ({ task, usage }) => {
+        const store = context.getStore();
+        if (!store || !store.userId || !usage) return;
+
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+        const date = utcDate(now());
+        await usageDoc(store.userId, date).set({
+            date,
+            llmCalls: FieldValue.increment(1),
+            promptTokens: FieldValue.increment(promptTokens),
+            completionTokens: FieldValue.increment(completionTokens),
+            totalTokens: FieldValue.increment(usage.total_tokens || promptTokens + completionTokens),
+            tasks: { [task]: FieldValue.increment(1) },
+            updatedAt: FieldValue.serverTimestamp()
+        }, { merge: true });
+    };
+
+    // (req, res, next) middleware for endpoints that call the LLM.
+    // Quota storage failures are logged and let the request through.
+    const middleware = async (req, res, next) => {
+        const userId = req.auth ? req.auth.userId : null;
+        try {
+            await admit(userId, req.ip);
+        } catch (error) {
+            if (error.status === 429) {
+                logger.warn(`[Usage] ${userId || req.ip} limited: ${error.message}`);
+                res.set('Retry-After', String(error.retryAfter));
+                return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+            }
+            logger.error(`[Usage] quota check failed for ${userId}: ${error.message}`);
+        }
+        return context.run({ userId }, next);
+    };
+
+    // -> { tier, limits, today: { requests, totalTokens, ... }, remaining, resetsIn, days: [...] }
+    // days: the last `days` UTC days, newest first
+    const getUsage = async (userId, { days = 7 } = {}) => {
+        const count = Math.min(Math.max(parseInt(days) || 7, 1), MAX_USAGE_DAYS);
+        const time = now();
+        const dates = Array.from({ length: count }, (_, i) => utcDate(new Date(time.getTime() - i * 24 * 60 * 60 * 1000)));
+
+        limitsCache.delete(userId);
+        const [{ tier, limits }, docs] = await Promise.all([
+            getLimits(userId),
+            db.getAll(...dates.map(date => usageDoc(userId, date)))
+        ]);
+
+        const history = docs.map((doc, i) => {
+            const data = doc.exists ? doc.data() : {};
+            return {
+                date: dates[i],
+                requests: data.requests || 0,
+                llmCalls: data.llmCalls || 0,
+                promptTokens: data.promptTokens || 0,
+                completionTokens: data.completionTokens || 0,
+                totalTokens: data.totalTokens || 0,
+                tasks: data.tasks || {}
+            };
+        });
+        const today = history[0];
+
+        return {
+            tier,
+            limits,
+            today,
+            remaining: {
+                requests: limits.dailyRequests ? Math.max(limits.dailyRequests - today.requests, 0) : null,
+                tokens: limits.dailyTokens ? Math.max(limits.dailyTokens - today.totalTokens, 0) : null
+            },
+            resetsIn: secondsUntilReset(time),
+            days: history
+        };
+    };
+
+    return {
+        admit,
+        recordLLMUsage,
+        middleware,
+        getUsage
+    };
+};
+
+module.exports = {
+    TIERS,
+    resolveLimits,
+    createWindowLimiter,
+    createUsageTracker
+};
@@ -0,0 +1,163 @@
+// Declarative request validation
+// A schema maps body fields to rules:
+//   type             'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object' | 'any'
+//   required         missing (undefined, null, '') is an error
+//   requiredWithout  [fields]: required unless one of these fields is present
+//   default          value used when missing
+//   trim, lowercase  string normalization (trim is on by default)
+//   enum             allowed values (after normalization)
+//   min, max         string / array length or number range
+//   pattern          RegExp a string must match
+//   items            rule for every array element
+//   fields, strict   schema of an object's fields; strict objects reject unknown fields
+//   check            (value) -> error message | null, after the rules above
+// Multipart and query values arrive as strings, so numbers and booleans are coerced.
+// Body fields outside the schema pass through untouched.
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const describeList = (values) => values.map(v => String(v)).join(', ');
+
+// -> { value, errors: [{ field, message }] }
+const validateValue = (rule, value, field) => {
+    const errors = [];
+    const fail = (message) => {
+        errors.push({ field, message });
+        return { value: undefined, errors };
+    };
+
+    let result = value;
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof result === 'number') result = String(result);
+            if (typeof result !== 'string') return fail("must be a string");
+            if (rule.trim !== false) result = result.trim();
+            if (rule.lowercase) result = result.toLowerCase();
+            if (rule.min !== undefined && result.length < rule.min) return fail(`must be at least ${rule.min} characters`);
+            if (rule.max !== undefined && result.length > rule.max) return fail(`must be at most ${rule.max} characters`);
+            if (rule.pattern && !rule.pattern.test(result)) return fail("has an invalid format");
+            break;
+
+        case 'integer':
+        case 'number':
+            if (typeof result === 'string' && result.trim() !== '') result = Number(result);
+            if (typeof result !== 'number' || !Number.isFinite(result)) return fail("must be a number");
+            if (rule.type === 'integer' && !Number.isInteger(result)) return fail("must be an integer");
+            if (rule.min !== undefined && result < rule.min) return fail(`must be at least ${rule.min}`);
+            if (rule.max !== undefined && result > rule.max) return fail(`must be at most ${rule.max}`);
+            break;
+
+        case 'boolean':
+            if (result === 'true') result = true;
+            if (result === 'false') result = false;
+            if (typeof result !== 'boolean') return fail("must be true or false");
+            break;
+
+        case 'array':
+            if (!Array.isArray(result)) return fail("must be an array");
+            if (rule.min !== undefined && result.length < rule.min) return fail(`must have at least ${rule.min} item${rule.min === 1 ? '' : 's'}`);
+            if (rule.max !== undefined && result.length > rule.max) return fail(`must have at most ${rule.max} items`);
+            if (rule.items) {
+                result = result.map((item, i) => {
+                    const checked = validateValue(rule.items, item, `${field}[${i}]`);
+                    errors.push(...checked.errors);
+                    return checked.value;
+                });
+                if (errors.length > 0) return { value: undefined, errors };
+            }
+            break;
+
+        case 'object':
+            if (typeof result !== 'object' || result === null || Array.isArray(result)) return fail("must be an object");
+            if (rule.fields) {
+                const checked = validate(rule.fields, result, { strict: rule.strict, prefix: `${field}.` });
+                if (checked.errors.length > 0) return checked;
+                result = checked.value;
+            }
+            break;
+
+        case 'any':
+            break;
+
+        default:
+            throw new Error(`Unknown rule type for ${field}: ${rule.type}`);
+    }
+
+    if (rule.enum && !rule.enum.includes(result)) return fail(`must be one of ${describeList(rule.enum)}`);
+
+    if (rule.check) {
+        const message = rule.check(result);
+        if (message) return fail(message);
+    }
+
+    return { value: result, errors };
+};
+
+// schema + body -> { value: normalized body, errors }
+// strict: fields outside the schema are errors instead of passing through
+const validate = (schema, body, { strict = false, prefix = '' } = {}) => {
+    const input = body && typeof body === 'object' ? body : {};
+    const value = strict ? {} : { ...input };
+    const errors = [];
+
+    Object.entries(schema).forEach(([name, rule]) => {
+        const field = `${prefix}${name}`;
+        const raw = input[name];
+
+        if (isMissing(raw)) {
+            delete value[name];
+            const required = rule.required
+                || (rule.requiredWithout && rule.requiredWithout.every(other => isMissing(input[other])));
+            if (required) {
+                errors.push({
+                    field,
+                    message: rule.requiredWithout && !rule.required
+                        ? `is required without ${rule.requiredWithout.join(' or ')}`
+                        : "is required"
+                });
+            } else if (rule.default !== undefined) {
+                value[name] = rule.default;
+            }
+            return;
+        }
+
+        const checked = validateValue(rule, raw, field);
+        errors.push(...checked.errors);
+        if (checked.errors.length === 0) value[name] = checked.value;
+    });
+
+    if (strict) {
+        Object.keys(input)
+            .filter(name => !Object.prototype.hasOwnProperty.call(schema, name))
+            .forEach(name => errors.push({ field: `${prefix}${name}`, message: "is not an allowed field" }));
+    }
+
+    return { value, errors };
+};
+
+// schema -> (req, res, next) middleware. Invalid bodies get
+//   400 { error: "Invalid request", fields: [{ field, message }] }
+// valid ones replace req.body (a Callable-style `data` wrapper is unwrapped).
+const validateBody = (schema) => (req, res, next) => {
+    const body = req.body || {};
+    const { value, errors } = validate(schema, body.data || body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid request", fields: errors });
+    }
+
+    req.body = value;
+    next();
+};
+
+// { [route]: schema } -> { [route]: middleware }
+const createValidators = (schemas) => Object.fromEntries(
+    Object.entries(schemas).map(([name, schema]) => [name, validateBody(schema)])
+);
+
+module.exports = {
+    validate,
+    validateBody,
+    createValidators
+};
@@ -0,0 +1,140 @@
+// Photo -> vocabulary lesson
+// The vision model ('vision' task) returns JSON that is trimmed into:
+//   description - a few simple sentences about the scene in the target language
+//   objects     - [{ word, translation, level, type, example }] things in the photo
+//   text        - { original, translation } for readable text (OCR), or null
+//   sentences   - [{ text, translation }] practice sentences about the photo
+// Images arrive as uploads, base64 / data URLs or URLs (fetched with lib/fetcher.js)
+// and are checked by their magic bytes.
+
+const { WORD_TYPES } = require('./datasets');
+const { normalizeLevel } = require('./placement');
+
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+const MAX_OBJECTS = 10;
+const MAX_SENTENCES = 5;
+
+const imageError = (status, message) => Object.assign(new Error(message), { status });
+
+// MIME type from the file's magic bytes, null when not a supported image
+const sniffImageType = (buffer) => {
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.toString('latin1', 0, 4) === 'GIF8') return 'image/gif';
+    return null;
+};
+
+// Raw bytes -> { data, mimeType }; 413 / 415 for oversized or non-image data
+const readImage = (buffer) => {
+    if (!buffer || buffer.length === 0) throw imageError(400, "Image is empty");
+    if (buffer.length > MAX_IMAGE_BYTES) {
+        throw imageError(413, `Image is too large (max ${MAX_IMAGE_BYTES / 1024 / 1024} MB)`);
+    }
+    const mimeType = sniffImageType(buffer);
+    if (!mimeType) throw imageError(415, "Unsupported image format (expected JPEG, PNG, WebP or GIF)");
+    return { data: buffer, mimeType };
+};
+
+// Base64 or a data: URL
+const decodeImage = (image) => readImage(Buffer.from(String(image).replace(/^data:[^,]*,/, ''), 'base64'));
+
+const trimmed = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+// Model output -> the documented shape, dropping anything malformed
+const normalizeAnalysis = (raw) => {
+    const seen = new Set();
+    const objects = (Array.isArray(raw.objects) ? raw.objects : [])
+        .filter(o => o && trimmed(o.word))
+        .map(o => ({
+            word: trimmed(o.word),
+            translation: trimmed(o.translation),
+            level: normalizeLevel(o.level),
+            type: WORD_TYPES.includes(String(o.type).toLowerCase()) ? String(o.type).toLowerCase() : null,
+            example: trimmed(o.example)
+        }))
+        .filter(o => {
+            const key = o.word.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_OBJECTS);
+
+    const original = raw.text && trimmed(raw.text.original);
+
+    return {
+        description: trimmed(raw.description),
+        objects,
+        text: original ? { original, translation: trimmed(raw.text.translation) } : null,
+        sentences: (Array.isArray(raw.sentences) ? raw.sentences : [])
+            .filter(s => s && trimmed(s.text))
+            .map(s => ({ text: trimmed(s.text), translation: trimmed(s.translation) }))
+            .slice(0, MAX_SENTENCES)
+    };
+};
+
+// languageName(code) -> display name
+const createImageAnalyzer = ({ llm, languageName, logger = console }) => {
+    // image: { data, mimeType }, level: learner's CEFR level in `language`
+    const analyze = async ({ image, language, nativeLanguage, level }) => {
+        const targetName = languageName(language);
+        const nativeName = languageName(nativeLanguage);
+
+        const prompt = `You are helping a ${nativeName}-speaking learner of ${targetName} (CEFR ${level}) learn vocabulary from a photo.
+Output JSON only.
+Format: {
+  "description": "2-3 simple ${targetName} sentences describing the scene",
+  "objects": [ {
+    "word": "${targetName} name of a visible object, person or action (dictionary form)",
+    "translation": "${nativeName} translation",
+    "level": CEFR level "A1".."C2",
+    "type": one of ${WORD_TYPES.map(t => `"${t}"`).join(', ')},
+    "example": "short ${targetName} sentence about it in this photo"
+  } ] (up to ${MAX_OBJECTS}, most useful for this learner first),
+  "text": { "original": "all readable text in the image, empty if none", "translation": "${nativeName} translation" },
+  "sentences": [ { "text": "${targetName} practice sentence about the photo at level ${level}", "translation": "${nativeName} translation" } ] (3 to ${MAX_SENTENCES})
+}`;
+
+        const completion = await llm.complete('vision', {
+            messages: [
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: prompt },
+                        { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` } }
+                    ]
+                }
+            ],
+            responseFormat: { type: "json_object" }
+        });
+
+        let raw;
+        try {
+            raw = JSON.parse(completion.text);
+        } catch (e) {
+            raw = null;
+        }
+        if (!raw || typeof raw !== 'object') {
+            throw imageError(502, "Image analysis returned no usable result, try again");
+        }
+
+        const analysis = normalizeAnalysis(raw);
+        logger.info(`[Vision] ${language}: ${analysis.objects.length} objects, text: ${Boolean(analysis.text)}`);
+        return analysis;
+    };
+
+    return {
+        analyze
+    };
+};
+
+module.exports = {
+    MAX_IMAGE_BYTES,
+    sniffImageType,
+    readImage,
+    decodeImage,
+    normalizeAnalysis,
+    createImageAnalyzer
+};
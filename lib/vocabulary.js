@@ -0,0 +1,264 @@
+// Vocabulary bank: dataset words plus LLM-generated entries
+// Generated entries are stored one per doc at vocabulary/{language}/entries/{id}:
+//   { word, translations, type, level, definition, example, pronunciation, tags,
+//     status: pending|approved|rejected, topic, requestedBy, createdAt, reviewedBy, reviewedAt }
+// Only approved entries join the pool that /getDailyWords, quizzes and word
+// reviews draw from. Rejected entries stay stored so they are not generated again.
+
+const { WORD_TYPES, normalizeIpa, validateVocabulary } = require('./datasets');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const MAX_GENERATE = 20;
+const POOL_TTL_MS = 5 * 60 * 1000;
+const PROMPT_EXCLUDE_LIMIT = 150;   // existing words listed in the prompt
+
+// Doc id for a word ("/" is not allowed in Firestore ids; ids Firestore reserves,
+// "." / ".." / "__name__", are percent-encoded as in wordId, lib/reviews.js)
+const entryId = (word) => {
+    const id = word.trim().toLowerCase().replace(/\//g, '_');
+    if (id === '.' || id === '..') return id.replace(/\./g, '%2E');
+    if (/^__.*__$/.test(id)) return `%5F${id.slice(1)}`;
+    return id;
+};
+
+const vocabularyError = (status, message) => Object.assign(new Error(message), { status });
+
+const ENTRY_FIELDS = ['word', 'translations', 'type', 'level', 'definition', 'example', 'pronunciation', 'tags'];
+
+// Keeps the dataset schema fields only
+const toEntry = (data) => {
+    const entry = {};
+    ENTRY_FIELDS.forEach(key => {
+        if (data[key] !== undefined && data[key] !== null) entry[key] = data[key];
+    });
+    return entry;
+};
+
+// Trims LLM output into the dataset schema; `tags` are always kept
+const normalizeGenerated = (raw, { tags: requiredTags = [], nativeCodes }) => {
+    const trim = (value) => (typeof value === 'string' ? value.trim() : value);
+    const translations = {};
+    Object.entries(raw.translations || {}).forEach(([code, text]) => {
+        if (nativeCodes.includes(code) && trim(text)) translations[code] = trim(text);
+    });
+    const tags = Array.isArray(raw.tags) ? raw.tags.map(t => String(t).trim().toLowerCase()).filter(Boolean) : [];
+
+    return toEntry({
+        word: trim(raw.word),
+        translations,
+        type: trim(raw.type)?.toLowerCase(),
+        level: trim(raw.level)?.toUpperCase(),
+        definition: trim(raw.definition),
+        example: trim(raw.example),
+        pronunciation: normalizeIpa(raw.pronunciation) || undefined,
+        tags: [...new Set([...requiredTags, ...tags])]
+    });
+};
+
+const createVocabularyBank = ({ db, llm, languages, FieldValue, logger = console }) => {
+    const entries = (language) => db.collection(`vocabulary/${language}/entries`);
+    const poolCache = new Map();    // language -> { expires, words }
+
+    // Dataset words followed by approved generated words
+    const getPool = async (language) => {
+        const cached = poolCache.get(language);
+        if (cached && cached.expires > Date.now()) return cached.words;
+
+        const { vocabulary } = languages.getData(language);
+        const known = new Set(vocabulary.map(v => v.word.toLowerCase()));
+        const snapshot = await entries(language).where('status', '==', 'approved').get();
+
+        const approved = [];
+        snapshot.forEach(doc => {
+            const entry = toEntry(doc.data());
+            if (!known.has(entry.word.toLowerCase())) approved.push(entry);
+        });
+
+        const words = [...vocabulary, ...approved];
+        poolCache.set(language, { expires: Date.now() + POOL_TTL_MS, words });
+        return words;
+    };
+
+    // -> { added: [entry], skipped: [{ word, reason }] }
+    const generate = async ({ language, topic, level, count, userId }) => {
+        const target = languages.getTarget(language);
+        const nativeCodes = languages.nativeCodes.filter(code => code !== language);
+        const wanted = Math.min(Math.max(parseInt(count) || 10, 1), MAX_GENERATE);
+
+        const pool = await getPool(language);
+        const storedSnapshot = await entries(language).select().get();
+        const taken = new Set(pool.map(w => entryId(w.word)));
+        storedSnapshot.forEach(doc => taken.add(doc.id));
+
+        const onTopic = pool.filter(w => w.tags && w.tags.includes(topic)).map(w => w.word);
+        const exclude = [...onTopic, ...pool.map(w => w.word).filter(w => !onTopic.includes(w))]
+            .slice(0, PROMPT_EXCLUDE_LIMIT);
+
+        const prompt = `Generate ${wanted} new ${target.name} vocabulary entries for the topic "${topic}" at CEFR level ${level}.
+Do not include any of these existing words: ${exclude.join(', ')}.
+Output JSON only.
+Format: { "entries": [ {
+  "word": "dictionary form in ${target.name}",
+  "translations": { ${nativeCodes.map(code => `"${code}": "${languages.languageName(code)} translation"`).join(', ')} },
+  "type": one of ${WORD_TYPES.map(t => `"${t}"`).join(', ')},
+  "level": "${level}",
+  "definition": "short definition in simple ${target.name}",
+  "example": "natural example sentence in ${target.name} that contains the word",
+  "pronunciation": "IPA, e.g. /ˈwɜːd/",
+  "tags": ["${topic}", ...other short lowercase topic tags]
+} ] }`;
+
+        const completion = await llm.complete('generate', {
+            messages: [{ role: 'user', content: prompt }],
+            responseFormat: { type: "json_object" }
+        });
+
+        let generated;
+        try {
+            generated = JSON.parse(completion.text).entries;
+        } catch (e) {
+            generated = null;
+        }
+        if (!Array.isArray(generated)) {
+            throw vocabularyError(502, "Vocabulary generation returned no usable result, try again");
+        }
+
+        const added = [];
+        const skipped = [];
+        generated.slice(0, wanted).forEach(raw => {
+            if (!raw || typeof raw !== 'object' || typeof raw.word !== 'string' || !raw.word.trim()) {
+                skipped.push({ word: null, reason: 'missing word' });
+                return;
+            }
+            const entry = normalizeGenerated(raw, { tags: [topic], nativeCodes });
+            const id = entryId(entry.word);
+
+            if (taken.has(id)) {
+                skipped.push({ word: entry.word, reason: 'duplicate' });
+                return;
+            }
+            const errors = validateVocabulary([entry], { source: 'generated', nativeCodes: languages.nativeCodes });
+            if (errors.length > 0) {
+                skipped.push({ word: entry.word, reason: errors.join('; ') });
+                return;
+            }
+            taken.add(id);
+            added.push(entry);
+        });
+
+        if (added.length > 0) {
+            const batch = db.batch();
+            added.forEach(entry => {
+                batch.set(entries(language).doc(entryId(entry.word)), {
+                    ...entry,
+                    status: 'pending',
+                    topic,
+                    requestedBy: String(userId),
+                    createdAt: FieldValue.serverTimestamp()
+                });
+            });
+            await batch.commit();
+        }
+
+        logger.info(`[Vocabulary] ${language}/${topic}/${level}: ${added.length} pending, ${skipped.length} skipped`);
+        return { added, skipped };
+    };
+
+    // Dataset-schema entry for any word or phrase: the pool entry when the word
+    // is known, otherwise filled in by the LLM (null if the answer is unusable).
+    // `context` is the sentence the word was met in, to pick the right meaning.
+    const describeWord = async ({ language, word, nativeLanguage, context }) => {
+        const pool = await getPool(language);
+        const known = pool.find(w => w.word.toLowerCase() === word.toLowerCase());
+        if (known) return known;
+
+        const target = languages.getTarget(language);
+        const nativeName = languages.languageName(nativeLanguage);
+
+        const prompt = `Describe the ${target.name} word or phrase "${word}" for a learner whose native language is ${nativeName}.
+${context ? `It was used in: "${context}". Describe the meaning used there.\n` : ''}Output JSON only.
+Format: {
+  "translations": { "${nativeLanguage}": "${nativeName} translation" },
+  "type": one of ${WORD_TYPES.map(t => `"${t}"`).join(', ')} (use "phrase" for multi-word expressions),
+  "level": CEFR level "A1".."C2",
+  "definition": "short definition in simple ${target.name}",
+  "example": "natural example sentence in ${target.name} that contains \"${word}\"",
+  "pronunciation": "IPA",
+  "tags": [short lowercase topic tags]
+}`;
+
+        const completion = await llm.complete('generate', {
+            messages: [{ role: 'user', content: prompt }],
+            responseFormat: { type: "json_object" }
+        });
+
+        let raw;
+        try {
+            raw = JSON.parse(completion.text);
+        } catch (e) {
+            return null;
+        }
+        if (!raw || typeof raw !== 'object') return null;
+
+        const entry = normalizeGenerated({ ...raw, word }, { nativeCodes: languages.nativeCodes });
+        const errors = validateVocabulary([entry], { source: 'described', nativeCodes: languages.nativeCodes });
+        if (errors.length > 0) {
+            logger.warn(`[Vocabulary] Could not describe "${word}" (${language}): ${errors.join('; ')}`);
+            return null;
+        }
+        return entry;
+    };
+
+    const list = async (language, status = 'pending') => {
+        const snapshot = await entries(language)
+            .where('status', '==', status)
+            .limit(200)
+            .get();
+
+        const result = [];
+        snapshot.forEach(doc => result.push({ id: doc.id, ...doc.data() }));
+        return result;
+    };
+
+    // Approves or rejects entries by word; returns the words that were updated
+    const review = async ({ language, words, approve, userId }) => {
+        const refs = [...new Set(words.map(w => entryId(String(w))))].map(id => entries(language).doc(id));
+        if (refs.length === 0) return [];
+
+        const docs = await db.getAll(...refs);
+        const batch = db.batch();
+        const updated = [];
+
+        docs.forEach(doc => {
+            if (!doc.exists) return;
+            batch.set(doc.ref, {
+                status: approve ? 'approved' : 'rejected',
+                reviewedBy: String(userId),
+                reviewedAt: FieldValue.serverTimestamp()
+            }, { merge: true });
+            updated.push(doc.data().word);
+        });
+
+        if (updated.length > 0) {
+            await batch.commit();
+            poolCache.delete(language);
+        }
+        return updated;
+    };
+
+    return {
+        getPool,
+        generate,
+        describeWord,
+        list,
+        review
+    };
+};
+
+module.exports = {
+    STATUSES,
+    MAX_GENERATE,
+    entryId,
+    createVocabularyBank
+};
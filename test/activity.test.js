@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_FREEZES, MAX_FREEZES, localDate, shiftDate, computeStreak } = require('../lib/activity');
+const { startTestApp, createTestServices } = require('./helpers');
+
+const TODAY = '2026-01-10';
+
+// Goal days counted back from TODAY; `gaps` are day offsets without the goal
+const goalDays = (count, gaps = []) => new Set(Array.from({ length: count }, (_, i) => i)
+    .filter(i => !gaps.includes(i))
+    .map(i => shiftDate(TODAY, -i)));
+
+test('the streak counts goal days back from today', () => {
+    assert.equal(computeStreak(goalDays(5), TODAY, 0).current, 5);
+
+    // An unfinished today does not break it
+    const yesterday = computeStreak(goalDays(4, [0]), TODAY, 0);
+    assert.equal(yesterday.current, 3);
+    assert.deepEqual(yesterday.frozenDays, []);
+
+    assert.equal(computeStreak(goalDays(6, [2]), TODAY, 0).current, 2);
+});
+
+test('freezes bridge missed days within the allowance', () => {
+    const bridged = computeStreak(goalDays(6, [2]), TODAY, 2);
+    assert.equal(bridged.current, 5);
+    assert.deepEqual(bridged.frozenDays, [shiftDate(TODAY, -2)]);
+    assert.equal(bridged.freezesLeft, 1);
+
+    // Two misses within 30 days use up both freezes, a third ends the streak
+    const twice = computeStreak(goalDays(9, [2, 5, 7]), TODAY, 2);
+    assert.equal(twice.current, 5);
+    assert.deepEqual(twice.frozenDays, [shiftDate(TODAY, -5), shiftDate(TODAY, -2)]);
+    assert.equal(twice.freezesLeft, 0);
+
+    // Missed days before the first goal day are not frozen
+    assert.deepEqual(computeStreak(goalDays(3), TODAY, 2).frozenDays, []);
+});
+
+test('a week of streak earns a freeze, up to the maximum', async () => {
+    const services = createTestServices();
+    const { activity, db } = services;
+    const user = db.collection('users').doc('1');
+    const today = localDate(new Date(), 'UTC');
+
+    const seedGoalDays = async (count) => {
+        for (let i = 1; i <= count; i++) {
+            const date = shiftDate(today, -i);
+            await db.collection('users/1/activity').doc(date).set({ date, wordsReviewed: 10, goalMet: true });
+        }
+    };
+
+    await seedGoalDays(6);
+    await activity.record(1, { language: 'en', wordsReviewed: 9 });
+    assert.equal((await user.get()).get('streakFreezes'), undefined, 'the goal is not reached yet');
+
+    await activity.record(1, { language: 'en', wordsReviewed: 1 });
+    assert.equal((await user.get()).get('streak'), 7);
+    assert.equal((await user.get()).get('streakFreezes'), DEFAULT_FREEZES + 1);
+
+    // Already at the maximum: nothing more to award
+    await user.set({ streakFreezes: MAX_FREEZES }, { merge: true });
+    await db.collection('users/1/activity').doc(today).set({ date: today, wordsReviewed: 0, goalMet: false });
+    await seedGoalDays(13);
+    await activity.record(1, { language: 'en', wordsReviewed: 10 });
+    assert.equal((await user.get()).get('streak'), 14);
+    assert.equal((await user.get()).get('streakFreezes'), MAX_FREEZES);
+});
+
+test('learners cannot set their own streak freezes', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    const profile = await app.call('/updateProfile', { profile: { streakFreezes: 5 } });
+    assert.equal(profile.status, 400);
+    assert.deepEqual(profile.body.fields, [{ field: 'profile.streakFreezes', message: 'is not an allowed field' }]);
+
+    const goals = await app.call('/setDailyGoals', { goals: { wordsReviewed: 20 }, streakFreezes: 5 });
+    assert.equal(goals.status, 200);
+    assert.equal(goals.body.streakFreezes, undefined);
+
+    const user = (await app.services.db.collection('users').doc('1').get()).data();
+    assert.equal(user.dailyGoals.wordsReviewed, 20);
+    assert.equal(user.streakFreezes, undefined);
+});
+
+test('days are marked as mastered on the learner\'s local date', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    // UTC+14: a different calendar day from UTC for most of every day
+    const timeZone = 'Pacific/Kiritimati';
+    await app.services.db.collection('users').doc('1').set({ timezone: timeZone });
+
+    const before = localDate(new Date(), timeZone);
+    assert.equal((await app.call('/markDailyMastered', {})).status, 200);
+    const after = localDate(new Date(), timeZone);
+
+    const activity = await app.call('/getActivity', { days: 2 });
+    const mastered = activity.body.days.filter(d => d.mastered.includes('en')).map(d => d.date);
+    assert.equal(mastered.length, 1);
+    assert.ok([before, after].includes(mastered[0]), mastered[0]);
+    assert.equal(mastered[0], activity.body.today);
+});
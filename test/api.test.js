@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestApp, signInitData } = require('./helpers');
+
+// End-to-end flows through createRouter: auth, validation, handlers and the
+// in-memory store, with the fake LLM and the stub speech providers.
+
+const base64Audio = (text) => Buffer.from(`OggS${text}`).toString('base64');
+
+const promptOf = (call) => call.messages.map(m => m.content).join('\n');
+
+test('requests without valid Telegram initData are refused', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    assert.equal((await app.call('/getDailyWords', {}, { userId: null })).status, 401);
+
+    const forged = signInitData({ id: 1 }, { botToken: '999:someone-else' });
+    assert.equal((await app.call('/getDailyWords', {}, { userId: null, headers: { Authorization: `tma ${forged}` } })).status, 401);
+
+    assert.equal((await app.call('/getDailyWords', {})).status, 200);
+});
+
+test('chat answers, keeps history and fills profile defaults', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    // Only a placement result on the profile: the prompt must not mention undefined fields
+    await app.services.db.collection('users').doc('1').set({ levels: { en: 'B1' } });
+
+    const chat = await app.call('/chat', { message: 'Hello there' });
+    assert.equal(chat.status, 200);
+    assert.match(chat.body.response, /Hello there/);
+
+    const [call] = app.services.llm.provider.calls;
+    assert.doesNotMatch(promptOf(call), /undefined/);
+
+    const history = await app.call('/getChatHistory', {});
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.messages.map(m => m.role), ['user', 'assistant']);
+    assert.equal(history.body.messages[0].text, 'Hello there');
+});
+
+test('a lesson summary only sees the lesson conversation', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    await app.call('/chat', { message: 'Free talk about football' });
+    await app.call('/chat', { message: 'My name is Anna', mode: 'lesson', activeLesson: 'lesson1' });
+
+    const calls = app.services.llm.provider.calls;
+    calls.length = 0;
+
+    const summary = await app.call('/summarizeLesson', { activeLesson: 'lesson1' });
+    assert.equal(summary.status, 200);
+
+    const prompt = promptOf(calls[0]);
+    assert.match(prompt, /My name is Anna/);
+    assert.doesNotMatch(prompt, /football/);
+});
+
+test('daily words are reviewed and show up in the history', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    const daily = await app.call('/getDailyWords', {});
+    assert.equal(daily.status, 200);
+    assert.ok(daily.body.words.length > 0);
+    assert.ok(daily.body.stats);
+
+    const word = daily.body.words[0].word;
+    const review = await app.call('/updateWordStatus', { word, grade: 'good' });
+    assert.equal(review.status, 200);
+    assert.equal(review.body.success, true);
+    assert.equal(review.body.card.interval, 1);
+
+    const history = await app.call('/getWordHistory', {});
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.history.learning.map(w => w.word), [word]);
+});
+
+test('finishing the placement test after one answer is refused', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    const started = await app.call('/startPlacementTest', {});
+    assert.equal(started.status, 200);
+
+    const answered = await app.call('/answerPlacementTest', { questionId: started.body.question.id, answer: 0 });
+    assert.equal(answered.status, 200);
+
+    const again = await app.call('/answerPlacementTest', { questionId: started.body.question.id, answer: 0 });
+    assert.equal(again.status, 409);
+
+    const finished = await app.call('/finishPlacementTest', {});
+    assert.equal(finished.status, 400);
+
+    const user = await app.services.db.collection('users').doc('1').get();
+    assert.equal(user.get('levels.en'), undefined);
+});
+
+test('speech routes work with the stub providers', async (t) => {
+    const app = await startTestApp({ env: { STT_STUB_TRANSCRIPT: 'how are you' } });
+    t.after(() => app.close());
+
+    const transcribed = await app.call('/transcribe', { audio: base64Audio('recording') });
+    assert.equal(transcribed.status, 200);
+    assert.deepEqual(transcribed.body, { transcript: 'how are you', language: 'en', format: 'ogg' });
+
+    const voice = await app.call('/voiceChat', { audio: base64Audio('recording') });
+    assert.equal(voice.status, 200);
+    assert.equal(voice.body.transcript, 'how are you');
+    assert.match(voice.body.response, /how are you/);
+    assert.equal(voice.body.audioMimeType, 'audio/mpeg');
+
+    const unsupported = await app.call('/transcribe', { audio: Buffer.from('plain text').toString('base64') });
+    assert.equal(unsupported.status, 415);
+});
+
+test('rate limited routes answer 429 after 10 requests a minute on the free tier', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+        statuses.push((await app.call('/getDailyWords', {}, { userId: 7 })).status);
+    }
+    assert.deepEqual(statuses, [...Array(10).fill(200), 429]);
+
+    // Other users have their own window
+    assert.equal((await app.call('/getDailyWords', {}, { userId: 8 })).status, 200);
+});
+
+test('the daily request quota answers 429 until UTC midnight', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    const secondsToMidnight = () => {
+        const now = new Date();
+        return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now) / 1000);
+    };
+    const today = new Date().toISOString().slice(0, 10);
+    await app.services.db.collection('users/9/usage').doc(today).set({ date: today, requests: 200 });
+
+    const before = secondsToMidnight();
+    const limited = await app.call('/getDailyWords', {}, { userId: 9 });
+    const after = secondsToMidnight();
+
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /Daily request quota/);
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.equal(limited.body.retryAfter, retryAfter);
+    assert.ok(retryAfter <= before && retryAfter >= after, `${retryAfter}s until midnight`);
+
+    // Routes without quotas still answer
+    assert.equal((await app.call('/getWordHistory', {}, { userId: 9 })).status, 200);
+});
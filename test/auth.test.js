@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { verifyTelegramInitData, createAuthMiddleware } = require('../lib/auth');
+const { BOT_TOKEN, silentLogger, signInitData } = require('./helpers');
+
+test('verifyTelegramInitData accepts initData signed with the bot token', () => {
+    const user = verifyTelegramInitData(signInitData({ id: 42, first_name: 'Ann' }), BOT_TOKEN);
+    assert.deepEqual(user, { id: 42, first_name: 'Ann' });
+});
+
+test('verifyTelegramInitData rejects forged initData', () => {
+    const signed = new URLSearchParams(signInitData({ id: 42 }));
+
+    const otherUser = new URLSearchParams(signed);
+    otherUser.set('user', JSON.stringify({ id: 1 }));
+    assert.equal(verifyTelegramInitData(otherUser.toString(), BOT_TOKEN), null);
+
+    assert.equal(verifyTelegramInitData(signInitData({ id: 42 }, { botToken: '999:other-bot' }), BOT_TOKEN), null);
+
+    const noHash = new URLSearchParams(signed);
+    noHash.delete('hash');
+    assert.equal(verifyTelegramInitData(noHash.toString(), BOT_TOKEN), null);
+
+    const badHash = new URLSearchParams(signed);
+    badHash.set('hash', 'not-hex');
+    assert.equal(verifyTelegramInitData(badHash.toString(), BOT_TOKEN), null);
+});
+
+test('verifyTelegramInitData rejects expired initData and users without an id', () => {
+    const dayAgo = Math.floor(Date.now() / 1000) - 25 * 60 * 60;
+    assert.equal(verifyTelegramInitData(signInitData({ id: 42 }, { authDate: dayAgo }), BOT_TOKEN), null);
+    assert.deepEqual(verifyTelegramInitData(signInitData({ id: 42 }, { authDate: dayAgo }), BOT_TOKEN, 2 * 24 * 60 * 60), { id: 42 });
+
+    assert.equal(verifyTelegramInitData(signInitData({ name: 'no id' }), BOT_TOKEN), null);
+    assert.equal(verifyTelegramInitData('', BOT_TOKEN), null);
+    assert.equal(verifyTelegramInitData(signInitData({ id: 42 }), ''), null);
+});
+
+test('auth middleware replaces the body userId with the verified user', async () => {
+    const authenticate = createAuthMiddleware({ admin: null, botToken: BOT_TOKEN, logger: silentLogger });
+    const req = {
+        headers: { 'x-telegram-init-data': signInitData({ id: 7 }) },
+        body: { userId: 'someone-else', message: 'hi' }
+    };
+    let nextCalled = false;
+
+    await authenticate(req, {}, () => { nextCalled = true; });
+
+    assert.ok(nextCalled);
+    assert.deepEqual(req.auth, { userId: '7', provider: 'telegram' });
+    assert.equal(req.body.userId, '7');
+});
+
+test('auth middleware answers 401 for missing or forged credentials', async () => {
+    const authenticate = createAuthMiddleware({ admin: null, botToken: BOT_TOKEN, logger: silentLogger });
+    const respond = () => {
+        const res = {
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                this.body = body;
+                return this;
+            }
+        };
+        return res;
+    };
+    const next = () => assert.fail('next() must not be called');
+
+    const missing = respond();
+    await authenticate({ headers: {}, body: {} }, missing, next);
+    assert.equal(missing.statusCode, 401);
+
+    const forged = respond();
+    await authenticate({ headers: { authorization: `tma ${signInitData({ id: 7 }, { botToken: '1:wrong' })}` }, body: {} }, forged, next);
+    assert.equal(forged.statusCode, 401);
+});
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const { createAuthMiddleware } = require('../lib/auth');
+const { createServices } = require('../lib/services');
+const { createRouter } = require('../lib/routes');
+
+// Shared setup for the integration tests: the whole API in-process with the
+// in-memory store, the fake LLM and the stub speech providers (no network).
+
+const BOT_TOKEN = '123456:test-bot-token';
+
+const TEST_ENV = {
+    STORAGE: 'memory',
+    LLM_PROVIDER: 'fake',
+    STT_PROVIDER: 'stub',
+    TTS_PROVIDER: 'stub',
+    RATE_LIMIT_IP_PER_MINUTE: '0'
+};
+
+const silentLogger = {
+    log() {},
+    info() {},
+    warn() {},
+    error() {}
+};
+
+// Telegram WebApp initData for `user`, signed like the Telegram client does
+const signInitData = (user, { botToken = BOT_TOKEN, authDate = Math.floor(Date.now() / 1000) } = {}) => {
+    const params = new URLSearchParams({ auth_date: String(authDate), user: JSON.stringify(user) });
+    const dataCheckString = [...params.entries()]
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+};
+
+const createTestServices = (env = {}) => createServices({
+    env: { ...TEST_ENV, ...env },
+    logger: silentLogger
+});
+
+// Express app as in server.js, listening on a free port ->
+// { services, call(path, body, { userId, headers }), close() }
+const startTestApp = async ({ env } = {}) => {
+    const services = createTestServices(env);
+
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use(createAuthMiddleware({ admin: null, botToken: BOT_TOKEN, logger: silentLogger }));
+    app.use(createRouter(services));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // -> { status, headers, body } (body parsed as JSON when possible)
+    const call = async (path, body = {}, { userId = 1, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(userId ? { Authorization: `tma ${signInitData({ id: userId })}` } : {}),
+                ...headers
+            },
+            body: JSON.stringify(body)
+        });
+        const text = await response.text();
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            parsed = text;
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    };
+
+    const close = () => new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+    });
+
+    return { services, call, close };
+};
+
+module.exports = {
+    BOT_TOKEN,
+    TEST_ENV,
+    silentLogger,
+    signInitData,
+    createTestServices,
+    startTestApp
+};
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadModelConfig, createLLM } = require('../lib/llm');
+const { silentLogger } = require('./helpers');
+
+const MODELS = { chat: ['primary', 'backup'], summarize: ['primary'] };
+
+// Never answers; rejects with an AbortError once the signal aborts, like a hung HTTP request
+const hang = (signal) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+        const error = new Error("Request was aborted.");
+        error.name = 'AbortError';
+        reject(error);
+    });
+});
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// behaviour(model, signal) -> text, or throws / hangs
+const createProvider = (behaviour) => ({
+    name: 'test',
+    calls: [],
+
+    async complete({ model, signal }) {
+        this.calls.push(model);
+        const text = await behaviour(model, signal);
+        return { text, usage: { total_tokens: text.length } };
+    },
+
+    async stream({ model, signal, onUsage }) {
+        this.calls.push(model);
+        const text = await behaviour(model, signal);
+        return (async function* () {
+            yield* text.split(/(?<= )/);
+            onUsage({ total_tokens: text.length });
+        })();
+    }
+});
+
+const collect = async (iterable) => {
+    let text = '';
+    for await (const delta of iterable) text += delta;
+    return text;
+};
+
+test('models are routed per task with env overrides', () => {
+    const config = loadModelConfig({
+        AI_MODEL: 'global',
+        AI_MODEL_VISION: 'vision-model',
+        AI_FALLBACK_MODEL_CHAT: 'a, b, global'
+    });
+    assert.deepEqual(config.chat, ['global', 'a', 'b']);
+    assert.deepEqual(config.vision, ['vision-model', 'openai/gpt-4o-mini']);
+    assert.deepEqual(config.summarize, ['global', 'openai/gpt-4o-mini']);
+});
+
+test('rate limits and server errors fall back to the next model', async () => {
+    const usage = [];
+    for (const status of [429, 500, 503]) {
+        const provider = createProvider(model => {
+            if (model === 'primary') throw httpError(status);
+            return 'from backup';
+        });
+        const llm = createLLM({ provider, models: MODELS, onUsage: (u) => usage.push(u), logger: silentLogger });
+
+        const result = await llm.complete('chat', { messages: [] });
+        assert.equal(result.text, 'from backup');
+        assert.equal(result.model, 'backup');
+        assert.deepEqual(provider.calls, ['primary', 'backup']);
+    }
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(usage.map(u => u.model), ['backup', 'backup', 'backup']);
+});
+
+test('client errors are not retried and the last model\'s error is thrown', async () => {
+    const badRequest = createProvider(() => { throw httpError(400); });
+    const llm = createLLM({ provider: badRequest, models: MODELS, logger: silentLogger });
+    await assert.rejects(llm.complete('chat', {}), { status: 400 });
+    assert.deepEqual(badRequest.calls, ['primary']);
+
+    const down = createProvider(() => { throw httpError(502); });
+    await assert.rejects(createLLM({ provider: down, models: MODELS, logger: silentLogger }).complete('chat', {}), { status: 502 });
+    assert.deepEqual(down.calls, ['primary', 'backup']);
+
+    assert.throws(() => createLLM({ provider: down, models: MODELS }).modelFor('vision'), /No model configured/);
+});
+
+test('a model that does not answer in time is abandoned for the next one', async () => {
+    const provider = createProvider((model, signal) => (model === 'primary' ? hang(signal) : 'on time'));
+    const llm = createLLM({ provider, models: MODELS, timeoutMs: 20, logger: silentLogger });
+
+    assert.equal((await llm.complete('chat', {})).text, 'on time');
+
+    const slow = createLLM({ provider: createProvider((model, signal) => hang(signal)), models: MODELS, timeoutMs: 20, logger: silentLogger });
+    await assert.rejects(slow.complete('summarize', {}), { code: 'LLM_TIMEOUT', status: 504, message: /timed out after 20ms/ });
+});
+
+test('a client abort stops without falling back', async () => {
+    const provider = createProvider((model, signal) => hang(signal));
+    const llm = createLLM({ provider, models: MODELS, timeoutMs: 1000, logger: silentLogger });
+    const controller = new AbortController();
+
+    const pending = llm.complete('chat', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.deepEqual(provider.calls, ['primary']);
+});
+
+test('streams fall back until the first token and then run past the timeout', async () => {
+    const provider = createProvider(model => {
+        if (model === 'primary') throw httpError(503);
+        return 'streamed from backup';
+    });
+    const llm = createLLM({ provider, models: MODELS, logger: silentLogger });
+    assert.equal(await collect(await llm.stream('chat', {})), 'streamed from backup');
+
+    // Slow tokens after the first one are not cut off by the timeout
+    const slowTokens = {
+        async stream({ signal }) {
+            return (async function* () {
+                yield 'first ';
+                await new Promise(resolve => setTimeout(resolve, 40));
+                if (signal.aborted) throw new Error('aborted');
+                yield 'second';
+            })();
+        }
+    };
+    const patient = createLLM({ provider: slowTokens, models: MODELS, timeoutMs: 20, logger: silentLogger });
+    assert.equal(await collect(await patient.stream('chat', {})), 'first second');
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { packetSamples, oggCrc, webmToOggOpus } = require('../lib/opus');
+
+// --- Minimal WebM writer (EBML elements with 8-byte sizes, like MediaRecorder) ---
+
+const idBytes = (id) => Buffer.from(id.toString(16).padStart(2, '0').match(/../g).map(h => parseInt(h, 16)));
+
+const sizeBytes = (size) => {
+    const bytes = Buffer.alloc(8);
+    bytes[0] = 0x01;
+    bytes.writeUIntBE(size, 2, 6);
+    return bytes;
+};
+
+const UNKNOWN_SIZE = Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+
+const element = (id, ...children) => {
+    const body = Buffer.concat(children.map(c => (Buffer.isBuffer(c) ? c : Buffer.from(c))));
+    return Buffer.concat([idBytes(id), sizeBytes(body.length), body]);
+};
+
+const opusHead = () => {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'latin1');
+    head[8] = 1;
+    head[9] = 1;
+    head.writeUInt16LE(312, 10);
+    head.writeUInt32LE(48000, 12);
+    return head;
+};
+
+// 20 ms CELT frames (TOC config 31, one frame per packet)
+const packet = (i, length = 40) => Buffer.concat([Buffer.from([0xf8]), Buffer.alloc(length - 1, i % 256)]);
+
+const simpleBlock = (track, data) => element(0xa3, Buffer.from([0x80 | track, 0, 0, 0x80]), data);
+
+const recording = ({ codecId = 'A_OPUS', packets }) => Buffer.concat([
+    element(0x1a45dfa3, element(0x4282, 'webm')),
+    idBytes(0x18538067), UNKNOWN_SIZE,
+    element(0x1654ae6b, element(0xae,
+        element(0xd7, Buffer.from([1])),
+        element(0x86, codecId),
+        element(0x63a2, opusHead()))),
+    idBytes(0x1f43b675), UNKNOWN_SIZE,
+    element(0xe7, Buffer.from([0])),
+    ...packets.map(p => simpleBlock(1, p)),
+    simpleBlock(2, Buffer.from('video frame'))
+]);
+
+// --- Ogg reader ---
+
+const readPages = (ogg) => {
+    const pages = [];
+    let offset = 0;
+    while (offset < ogg.length) {
+        assert.equal(ogg.toString('latin1', offset, offset + 4), 'OggS');
+        const segments = ogg[offset + 26];
+        const lacing = [...ogg.subarray(offset + 27, offset + 27 + segments)];
+        const length = 27 + segments + lacing.reduce((sum, v) => sum + v, 0);
+        const page = Buffer.from(ogg.subarray(offset, offset + length));
+
+        const crc = page.readUInt32LE(22);
+        page.writeUInt32LE(0, 22);
+        assert.equal(oggCrc(page), crc, `page ${pages.length} CRC`);
+
+        const packets = [];
+        let start = 27 + segments;
+        let size = 0;
+        lacing.forEach(value => {
+            size += value;
+            if (value < 255) {
+                packets.push(page.subarray(start, start + size));
+                start += size;
+                size = 0;
+            }
+        });
+
+        pages.push({
+            flags: page[5],
+            granule: Number(page.readBigInt64LE(6)),
+            sequence: page.readUInt32LE(18),
+            packets
+        });
+        offset += length;
+    }
+    return pages;
+};
+
+test('Opus packet durations come from the TOC byte', () => {
+    assert.equal(packetSamples(Buffer.from([0xf8])), 960);          // CELT 20 ms
+    assert.equal(packetSamples(Buffer.from([0x08])), 960);          // SILK 20 ms
+    assert.equal(packetSamples(Buffer.from([0xf9])), 1920);         // two frames
+    assert.equal(packetSamples(Buffer.from([0xfb, 0x03])), 2880);   // code 3, three frames
+    assert.equal(packetSamples(Buffer.from([0x80])), 120);          // CELT 2.5 ms
+});
+
+test('Ogg CRC matches the reference check value', () => {
+    assert.equal(oggCrc(Buffer.from('123456789')), 0x89a1897f);
+});
+
+test('WebM Opus recordings are remuxed into Ogg pages without re-encoding', () => {
+    const packets = Array.from({ length: 300 }, (_, i) => packet(i, i === 5 ? 600 : 40));
+    const pages = readPages(webmToOggOpus(recording({ packets })));
+
+    assert.equal(pages[0].flags, 0x02);
+    assert.equal(pages[0].packets[0].toString('latin1', 0, 8), 'OpusHead');
+    assert.equal(pages[1].packets[0].toString('latin1', 0, 8), 'OpusTags');
+    assert.deepEqual(pages.map(p => p.sequence), pages.map((p, i) => i));
+    assert.equal(pages[pages.length - 1].flags, 0x04);
+
+    // Only the Opus track's packets, in order and unchanged
+    const audio = pages.slice(2).flatMap(p => p.packets);
+    assert.equal(audio.length, packets.length);
+    audio.forEach((p, i) => assert.ok(p.equals(packets[i]), `packet ${i}`));
+
+    // Granule positions count samples up to the end of each page
+    let samples = 0;
+    pages.slice(2).forEach(page => {
+        samples += page.packets.length * 960;
+        assert.equal(page.granule, samples);
+    });
+    assert.ok(pages.length > 3, 'audio spans several pages');
+});
+
+test('WebM without Opus audio is rejected with 415', () => {
+    assert.throws(() => webmToOggOpus(recording({ codecId: 'A_VORBIS', packets: [packet(0)] })), { status: 415 });
+    assert.throws(() => webmToOggOpus(recording({ packets: [] })), { status: 415 });
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CEFR_LEVELS } = require('../lib/lessons');
+const { MAX_QUESTIONS, estimateLevel } = require('../lib/placement');
+const { createTestServices } = require('./helpers');
+
+const answers = (pattern) => pattern.split(' ').map(a => ({ level: a.slice(0, 2), correct: a.endsWith('+') }));
+
+test('each level is estimated on its own answers', () => {
+    // Oscillating around the ceiling: misses above it do not pull easier levels down
+    assert.equal(estimateLevel(answers('A2+ B1+ B2- B1+ B2- B1+ B2- B1+')).level, 'B1');
+    assert.equal(estimateLevel(answers('A2+ B1+ B2+ C1- B2+ C1- B2+ C1-')).level, 'B2');
+    assert.equal(estimateLevel(answers('A2+ B1+ B2+ C1+ C2+ C2+ C2-')).level, 'C2');
+
+    // A level with mostly wrong answers does not pass
+    assert.equal(estimateLevel(answers('A2+ B1+ B1- B1- A2+ B1- A2+')).level, 'A2');
+    assert.equal(estimateLevel(answers('A2- A1- A1- A1- A1- A1-')).level, 'A1');
+});
+
+test('without enough answers at one level, correct answers at harder levels count for easier ones', () => {
+    assert.equal(estimateLevel(answers('A2+ B1+ B2- B1-')).level, 'A2');
+    assert.equal(estimateLevel(answers('A2+ B1+ B2+ C1-')).level, 'B1');
+    assert.equal(estimateLevel(answers('A2+ B1-')).level, 'A1');
+});
+
+test('a learner who is right up to B1 is placed at B1', async () => {
+    const services = createTestServices();
+    const { placementTest, db } = services;
+    const ref = db.collection('users/1/placement').doc('en');
+    const ceiling = CEFR_LEVELS.indexOf('B1');
+
+    let { question } = await placementTest.start(1, 'en', { nativeLanguage: 'ru' });
+    const seen = new Set();
+    for (let i = 0; i < MAX_QUESTIONS; i++) {
+        assert.match(question.id, /^[0-9a-f]{16}$/, 'ids do not reveal the item or its level');
+        assert.ok(!seen.has(question.id));
+        seen.add(question.id);
+
+        // The stored question says which level it is and which option is right
+        const { current } = (await ref.get()).data();
+        const knows = CEFR_LEVELS.indexOf(current.level) <= ceiling;
+        const chosen = knows ? current.answer : (current.answer + 1) % current.options.length;
+
+        // Form-encoded clients send the index as a string
+        const result = await placementTest.answer(1, 'en', { questionId: question.id, answer: String(chosen) });
+        assert.equal(result.correct, knows);
+        question = result.question;
+        if (result.done) break;
+    }
+
+    const levels = (await ref.get()).data().answers.map(a => a.level);
+    assert.ok(levels.includes('B2'), 'the walk goes above the ceiling');
+
+    const estimate = await placementTest.finish(1, 'en');
+    assert.equal(estimate.level, 'B1');
+    assert.equal((await db.collection('users').doc('1').get()).get('levels.en'), 'B1');
+});
+
+test('answers may be option text', async () => {
+    const { placementTest, db } = createTestServices();
+    const { question } = await placementTest.start(1, 'en', { nativeLanguage: 'ru' });
+    const { current } = (await db.collection('users/1/placement').doc('en').get()).data();
+
+    const result = await placementTest.answer(1, 'en', { questionId: question.id, answer: ` ${current.options[current.answer]} ` });
+    assert.equal(result.correct, true);
+});
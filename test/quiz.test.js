@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkAnswer } = require('../lib/quiz');
+const { createTestServices } = require('./helpers');
+
+test('answers tolerate case, punctuation, missing accents and small typos', () => {
+    assert.deepEqual(checkAnswer('Run', ' run! '), { correct: true, typo: false });
+    assert.deepEqual(checkAnswer('città', 'citta'), { correct: true, typo: true });
+    assert.deepEqual(checkAnswer('beautiful', 'beautifull'), { correct: true, typo: true });
+    assert.deepEqual(checkAnswer('beautiful', 'beatiffull'), { correct: false, typo: false });
+
+    // Short words allow no typos, spelling exercises none at all
+    assert.deepEqual(checkAnswer('eat', 'eta'), { correct: false, typo: false });
+    assert.deepEqual(checkAnswer('beautiful', 'beautifull', { tolerant: false }), { correct: false, typo: false });
+    assert.deepEqual(checkAnswer('run', ''), { correct: false, typo: false });
+});
+
+const startQuiz = async (services, words, types) => {
+    const quiz = await services.quiz.generate(1, 'en', { words, nativeLanguage: 'ru', types });
+    const stored = (await services.db.collection('users/1/quizzes').doc(quiz.quizId).get()).data();
+    return { quiz, exercises: stored.exercises };
+};
+
+test('graded answers are recorded as SRS reviews', async () => {
+    const services = createTestServices();
+    const { quiz, exercises } = await startQuiz(services, ['run', 'eat', 'important'], ['choice', 'reverse']);
+
+    assert.ok(quiz.exercises.every(e => e.answer === undefined && e.word === undefined), 'answers stay on the server');
+
+    const answers = exercises.map(e => {
+        if (e.word === 'run') return { exerciseId: e.id, answer: e.options.indexOf(e.answer) };
+        if (e.word === 'eat') return { exerciseId: e.id, answer: 'wrong' };
+        return { exerciseId: e.id, answer: e.type === 'choice' ? e.answer : 'importent' };
+    });
+    const graded = await services.quiz.grade(1, quiz.quizId, answers);
+
+    const byWord = Object.fromEntries(graded.results.map(r => [r.word, r]));
+    assert.equal(byWord.run.grade, 'good');
+    assert.equal(byWord.eat.grade, 'again');
+    assert.equal(byWord.eat.expected, exercises.find(e => e.word === 'eat').answer);
+    assert.deepEqual(graded.score, { answered: 3, correct: 2, total: 3 });
+
+    const card = await services.userWords.get(1, 'en', 'eat');
+    assert.equal(card.status, 'weak');
+    assert.equal(card.lapses, 1);
+});
+
+test('a quiz submitted twice at once records each review once', async () => {
+    const services = createTestServices();
+    const { quiz, exercises } = await startQuiz(services, ['run', 'sleep'], ['reverse']);
+    const answers = exercises.map(e => ({ exerciseId: e.id, answer: e.answer }));
+
+    const [first, second] = await Promise.all([
+        services.quiz.grade(1, quiz.quizId, answers),
+        services.quiz.grade(1, quiz.quizId, answers)
+    ]);
+    assert.deepEqual(first.results.map(r => r.correct), [true, true]);
+    assert.deepEqual(second.results.map(r => [r.word, r.grade]), first.results.map(r => [r.word, r.grade]));
+
+    // A retry later gets the stored result, even with a different answer
+    const retry = await services.quiz.grade(1, quiz.quizId, [{ exerciseId: exercises[0].id, answer: 'wrong' }]);
+    assert.equal(retry.results[0].correct, true);
+    assert.equal(retry.results[0].status, first.results[0].status);
+
+    for (const word of ['run', 'sleep']) {
+        const card = await services.userWords.get(1, 'en', word);
+        assert.equal(card.reps, 1, word);
+        assert.equal(card.history.length, 1, word);
+    }
+
+    assert.equal(await services.quiz.grade(1, 'missing', answers), null);
+});
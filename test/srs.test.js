@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scheduleReview, normalizeGrade, isDue } = require('../lib/srs');
+
+const NOW = new Date('2026-01-10T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysUntil = (due) => (due.getTime() - NOW.getTime()) / DAY_MS;
+
+test('a new card is scheduled by grade', () => {
+    const again = scheduleReview({}, 'again', NOW);
+    assert.equal(again.interval, 0);
+    assert.equal(again.due.getTime() - NOW.getTime(), 10 * 60 * 1000);
+    assert.equal(again.ease, 2.3);
+    assert.equal(again.lapses, 1);
+    assert.equal(again.status, 'weak');
+
+    const hard = scheduleReview({}, 'hard', NOW);
+    assert.equal(hard.interval, 1);
+    assert.equal(hard.ease, 2.35);
+
+    const good = scheduleReview({}, 'good', NOW);
+    assert.equal(good.interval, 1);
+    assert.equal(daysUntil(good.due), 1);
+    assert.equal(good.ease, 2.5);
+    assert.equal(good.status, 'learning');
+
+    const easy = scheduleReview({}, 'easy', NOW);
+    assert.equal(easy.interval, 4);
+    assert.equal(easy.ease, 2.65);
+});
+
+test('intervals grow with repetitions and ease', () => {
+    const card = { ease: 2.5, interval: 3, reps: 2, lapses: 0 };
+
+    assert.equal(scheduleReview({ ease: 2.5, interval: 1, reps: 1 }, 'good', NOW).interval, 3);
+    assert.equal(scheduleReview(card, 'good', NOW).interval, 8);      // round(3 * 2.5)
+    assert.equal(scheduleReview(card, 'hard', NOW).interval, 4);      // max(3 + 1, round(3 * 1.2))
+    assert.equal(scheduleReview(card, 'easy', NOW).interval, 10);     // round(3 * 2.65 * 1.3)
+
+    const mature = scheduleReview({ ease: 2.5, interval: 10, reps: 4 }, 'good', NOW);
+    assert.equal(mature.interval, 25);
+    assert.equal(mature.status, 'known');
+});
+
+test('a lapse resets repetitions and ease never drops below the minimum', () => {
+    const lapsed = scheduleReview({ ease: 1.35, interval: 30, reps: 6, lapses: 2, correct_streak: 5 }, 'again', NOW);
+    assert.equal(lapsed.reps, 0);
+    assert.equal(lapsed.interval, 0);
+    assert.equal(lapsed.ease, 1.3);
+    assert.equal(lapsed.lapses, 3);
+    assert.equal(lapsed.correct_streak, 0);
+    assert.equal(lapsed.wrong_count, 1);
+});
+
+test('review history is capped', () => {
+    const history = Array.from({ length: 25 }, () => ({ grade: 'good' }));
+    const result = scheduleReview({ history }, 'good', NOW);
+    assert.equal(result.history.length, 20);
+    assert.equal(result.history[19].grade, 'good');
+    assert.equal(result.history[19].reviewedAt, NOW);
+});
+
+test('grades fall back to the legacy isCorrect flag', () => {
+    assert.equal(normalizeGrade('EASY'), 'easy');
+    assert.equal(normalizeGrade(undefined, true), 'good');
+    assert.equal(normalizeGrade(undefined, false), 'again');
+    assert.equal(normalizeGrade('perfect'), null);
+});
+
+test('cards without a due date are due', () => {
+    assert.equal(isDue({}, NOW), true);
+    assert.equal(isDue({ due: new Date(NOW.getTime() + DAY_MS) }, NOW), false);
+    assert.equal(isDue({ due: { _seconds: NOW.getTime() / 1000 - 60 } }, NOW), true);
+});
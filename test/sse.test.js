@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+
+const { wantsStream, streamChatCompletion } = require('../lib/sse');
+const { startTestApp, silentLogger } = require('./helpers');
+
+// "event: x\ndata: {...}\n\n" blocks -> [{ event, data }]
+const parseEvents = (text) => text.split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+});
+
+test('streams are requested with stream: true or Accept: text/event-stream', () => {
+    assert.equal(wantsStream({ headers: {} }, { stream: true }), true);
+    assert.equal(wantsStream({ headers: {} }, { stream: 'true' }), true);
+    assert.equal(wantsStream({ headers: { accept: 'text/event-stream' } }, {}), true);
+    assert.equal(wantsStream({ headers: { accept: 'application/json' } }, { stream: false }), false);
+});
+
+test('/chat streams tokens, then saves the exchange and sends done', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    const streamed = await app.call('/chat', { message: 'Tell me a story', stream: true });
+    assert.equal(streamed.status, 200);
+    assert.equal(streamed.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+
+    const events = parseEvents(streamed.body);
+    const done = events.pop();
+    assert.equal(done.event, 'done');
+    assert.ok(events.length > 1 && events.every(e => e.event === 'token'));
+    assert.equal(events.map(e => e.data.text).join(''), done.data.response);
+    assert.match(done.data.response, /Tell me a story/);
+
+    const history = await app.call('/getChatHistory', {});
+    assert.deepEqual(history.body.messages.map(m => m.text), ['Tell me a story', done.data.response]);
+});
+
+// Express app streaming from `llm` -> { req, first: first chunk, body: whole response }
+const startStream = async (t, llm, onComplete) => {
+    const app = express();
+    app.post('/stream', (req, res) => streamChatCompletion({ llm, messages: [], res, onComplete, logger: silentLogger }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+    }));
+
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, path: '/stream', method: 'POST' });
+    req.on('error', () => {});
+    const response = new Promise(resolve => req.on('response', resolve));
+    req.end();
+
+    const chunks = [];
+    const first = response.then(res => new Promise(resolve => res.once('data', chunk => resolve(chunk.toString()))));
+    const body = response.then(res => new Promise(resolve => {
+        res.on('data', chunk => chunks.push(chunk.toString()));
+        res.on('end', () => resolve(chunks.join('')));
+    }));
+    return { req, first, body };
+};
+
+test('a client disconnect aborts the model stream and skips saving', { timeout: 5000 }, async (t) => {
+    let aborted;
+    const signalled = new Promise(resolve => { aborted = resolve; });
+    let completed = false;
+
+    // Yields one token, then waits for more until aborted
+    const llm = {
+        async stream(task, { signal }) {
+            signal.addEventListener('abort', () => aborted(signal.reason));
+            return (async function* () {
+                yield 'Once ';
+                await new Promise((resolve, reject) => signal.addEventListener('abort', () => {
+                    const error = new Error("Request was aborted.");
+                    error.name = 'AbortError';
+                    reject(error);
+                }));
+            })();
+        }
+    };
+
+    const { req, first } = await startStream(t, llm, async () => { completed = true; });
+    assert.deepEqual(parseEvents(await first), [{ event: 'token', data: { text: 'Once ' } }]);
+
+    req.destroy();
+    await signalled;
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(completed, false);
+});
+
+test('model errors mid-stream end with an error event', async (t) => {
+    const llm = {
+        async stream() {
+            return (async function* () {
+                yield 'Once ';
+                throw Object.assign(new Error('upstream failed'), { status: 502 });
+            })();
+        }
+    };
+
+    const { body } = await startStream(t, llm, async () => assert.fail('must not save'));
+
+    assert.deepEqual(parseEvents(await body), [
+        { event: 'token', data: { text: 'Once ' } },
+        { event: 'error', data: { error: 'upstream failed', aborted: false } }
+    ]);
+});
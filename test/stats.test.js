@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { localDate, shiftDate } = require('../lib/activity');
+const { createTestServices } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOON = 12 * 60 * 60 * 1000;
+
+// Noon UTC `days` ago: the same local date in every timezone from UTC-11 to UTC+11
+const daysAgo = (days) => new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS - days * DAY_MS + NOON);
+
+const seed = async (services) => {
+    const { db, languages } = services;
+    const cards = db.collection('users/1/user_words_en');
+    await cards.doc('run').set({
+        word: 'run',
+        status: 'known',
+        correct_streak: 3,
+        history: [
+            { grade: 'again', interval: 0, reviewedAt: daysAgo(10) },
+            { grade: 'good', interval: 1, reviewedAt: daysAgo(3) },
+            { grade: 'good', interval: 25, reviewedAt: daysAgo(1) }
+        ]
+    });
+    await cards.doc('eat').set({
+        word: 'eat',
+        status: 'weak',
+        wrong_count: 2,
+        history: [{ grade: 'again', interval: 0, reviewedAt: daysAgo(1) }]
+    });
+
+    const messages = db.collection(languages.historyPath(1, 'en'));
+    await messages.add({ role: 'user', text: 'hi', mode: 'conversation', createdAt: daysAgo(1) });
+    await messages.add({ role: 'assistant', text: 'hello', mode: 'conversation', createdAt: daysAgo(1) });
+    await messages.add({ role: 'user', text: 'fix this', mode: 'fixme', createdAt: daysAgo(3) });
+    await messages.add({ role: 'user', text: 'old', createdAt: daysAgo(40) });
+};
+
+test('daily buckets replay card statuses and count answers per day', async () => {
+    const services = createTestServices();
+    await seed(services);
+
+    const stats = await services.stats.getStats(1, 'en', { days: 14 });
+    const today = localDate(new Date(), 'UTC');
+    const at = (series, days) => series.find(s => s.bucket === shiftDate(today, -days));
+
+    assert.equal(stats.from, shiftDate(today, -13));
+    assert.equal(stats.words.series.length, 14);
+    assert.deepEqual(stats.words.current, { new: 0, learning: 0, weak: 1, known: 1 });
+
+    // Status at the end of each day, from the review history
+    assert.deepEqual(at(stats.words.series, 11), { bucket: shiftDate(today, -11), learning: 0, weak: 0, known: 0 });
+    assert.deepEqual(at(stats.words.series, 10), { bucket: shiftDate(today, -10), learning: 0, weak: 1, known: 0 });
+    assert.deepEqual(at(stats.words.series, 3), { bucket: shiftDate(today, -3), learning: 1, weak: 0, known: 0 });
+    assert.deepEqual(at(stats.words.series, 0), { bucket: today, learning: 0, weak: 1, known: 1 });
+
+    assert.deepEqual(at(stats.reviews.series, 1), { bucket: shiftDate(today, -1), total: 2, correct: 1, accuracy: 0.5 });
+    assert.equal(stats.reviews.total, 4);
+    assert.equal(stats.reviews.accuracy, 0.5);
+    assert.equal(stats.reviews.wrongAnswers, 2);
+    assert.equal(stats.reviews.strongWords, 1);
+
+    // Only the learner's own messages inside the period
+    assert.deepEqual(stats.messages.byMode, { conversation: 1, fixme: 1 });
+    assert.equal(at(stats.messages.series, 3).byMode.fixme, 1);
+});
+
+test('weekly buckets start on Monday and add up the days', async () => {
+    const services = createTestServices();
+    await seed(services);
+
+    const daily = await services.stats.getStats(1, 'en', { days: 28 });
+    const weekly = await services.stats.getStats(1, 'en', { bucket: 'week', days: 28 });
+
+    weekly.reviews.series.forEach(({ bucket }) => {
+        assert.equal(new Date(`${bucket}T00:00:00Z`).getUTCDay(), 1, `${bucket} is a Monday`);
+    });
+    assert.ok(weekly.reviews.series.length >= 4 && weekly.reviews.series.length <= 5);
+    assert.ok(weekly.reviews.series[0].bucket <= weekly.from);
+
+    const weekOf = (date) => weekly.reviews.series.filter(s => s.bucket <= date).pop().bucket;
+    daily.reviews.series.forEach(day => {
+        const week = weekly.reviews.series.find(s => s.bucket === weekOf(day.bucket));
+        assert.ok(week.total >= day.total);
+    });
+    assert.equal(weekly.reviews.total, daily.reviews.total);
+    assert.equal(weekly.messages.total, daily.messages.total);
+});
+
+test('answers are bucketed by the learner\'s local date', async () => {
+    const services = createTestServices();
+    // 23:00 UTC is already the next day in Tokyo
+    const reviewedAt = new Date(daysAgo(2).getTime() + 11 * 60 * 60 * 1000);
+    await services.db.collection('users/1/user_words_en').doc('run').set({
+        word: 'run',
+        status: 'learning',
+        history: [{ grade: 'good', interval: 1, reviewedAt }]
+    });
+
+    const utc = await services.stats.getStats(1, 'en', { days: 7 });
+    const tokyo = await services.stats.getStats(1, 'en', { days: 7, timeZone: 'Asia/Tokyo' });
+
+    const reviewedOn = (stats) => stats.reviews.series.find(s => s.total > 0).bucket;
+    assert.equal(reviewedOn(utc), localDate(reviewedAt, 'UTC'));
+    assert.equal(reviewedOn(tokyo), localDate(reviewedAt, 'Asia/Tokyo'));
+    assert.equal(reviewedOn(tokyo), shiftDate(reviewedOn(utc), 1));
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryTimestamp, createMemoryFirestore, createStorage } = require('../lib/storage');
+
+test('set replaces a document and merge combines nested fields', async () => {
+    const { db } = createMemoryFirestore();
+    const ref = db.collection('users').doc('1');
+
+    await ref.set({ goal: 'travel', levels: { en: 'A2' }, tags: ['a'] });
+    await ref.set({ levels: { it: 'A1' }, tags: ['b'] }, { merge: true });
+    assert.deepEqual((await ref.get()).data(), { goal: 'travel', levels: { en: 'A2', it: 'A1' }, tags: ['b'] });
+
+    await ref.set({ style: 'strict' });
+    assert.deepEqual((await ref.get()).data(), { style: 'strict' });
+
+    await assert.rejects(db.collection('users').doc('missing').update({ a: 1 }), /No document to update/);
+    await assert.rejects(ref.set({ goal: undefined }), /undefined/);
+});
+
+test('returned data cannot change what is stored', async () => {
+    const { db } = createMemoryFirestore();
+    const ref = db.collection('users').doc('1');
+    await ref.set({ levels: { en: 'A2' } });
+
+    const data = (await ref.get()).data();
+    data.levels.en = 'C2';
+
+    assert.equal((await ref.get()).get('levels.en'), 'A2');
+});
+
+test('FieldValue sentinels and Dates are stored like Firestore does', async () => {
+    let clock = 1000000;
+    const { db, FieldValue } = createMemoryFirestore({ now: () => clock });
+    const ref = db.collection('users/1/usage').doc('2026-01-10');
+
+    await ref.set({ requests: FieldValue.increment(1), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    await ref.set({ requests: FieldValue.increment(2), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    await ref.set({ seenAt: new Date(5000) }, { merge: true });
+
+    const data = (await ref.get()).data();
+    assert.equal(data.requests, 3);
+    assert.ok(data.updatedAt instanceof MemoryTimestamp);
+    // Server timestamps strictly increase even when the clock does not move
+    assert.equal(data.updatedAt.toMillis(), clock + 1);
+    assert.ok(data.seenAt instanceof MemoryTimestamp);
+    assert.equal(data.seenAt.toDate().getTime(), 5000);
+
+    clock += 500;
+    await ref.set({ updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    assert.equal((await ref.get()).get('updatedAt').toMillis(), clock);
+});
+
+test('queries filter, order, limit and select, skipping documents without the field', async () => {
+    const { db } = createMemoryFirestore();
+    const words = db.collection('users/1/user_words_en');
+    await words.doc('run').set({ word: 'run', interval: 3, status: 'learning', tags: ['sport'] });
+    await words.doc('eat').set({ word: 'eat', interval: 1, status: 'weak' });
+    await words.doc('sleep').set({ word: 'sleep', interval: 7, status: 'learning', tags: ['home'] });
+    await words.doc('legacy').set({ word: 'legacy', status: 'learning' });
+
+    const ids = (snapshot) => snapshot.docs.map(doc => doc.id);
+
+    assert.deepEqual(ids(await words.orderBy('interval', 'desc').get()), ['sleep', 'run', 'eat']);
+    assert.deepEqual(ids(await words.where('interval', '>=', 3).orderBy('interval').limit(1).get()), ['run']);
+    assert.deepEqual(ids(await words.where('status', 'in', ['weak', 'known']).get()), ['eat']);
+    assert.deepEqual(ids(await words.where('tags', 'array-contains', 'home').get()), ['sleep']);
+    assert.deepEqual(ids(await words.where('status', '!=', 'weak').get()), ['legacy', 'run', 'sleep']);
+
+    const selected = await words.where('word', '==', 'run').select('word', 'interval').get();
+    assert.equal(selected.size, 1);
+    assert.deepEqual(selected.docs[0].data(), { word: 'run', interval: 3 });
+});
+
+test('timestamps compare with Dates in queries', async () => {
+    const { db, FieldValue } = createMemoryFirestore({ now: () => 10000 });
+    const messages = db.collection('dialogs/1/messages');
+    await messages.add({ text: 'first', createdAt: FieldValue.serverTimestamp() });
+    await messages.add({ text: 'second', createdAt: FieldValue.serverTimestamp() });
+
+    const since = await messages.where('createdAt', '>=', new Date(10001)).get();
+    assert.deepEqual(since.docs.map(doc => doc.data().text), ['second']);
+
+    const [first] = (await messages.orderBy('createdAt').limit(1).get()).docs;
+    const after = await messages.where('createdAt', '>', first.data().createdAt).get();
+    assert.deepEqual(after.docs.map(doc => doc.data().text), ['second']);
+});
+
+test('transactions run one at a time and apply writes only on success', async () => {
+    const { db } = createMemoryFirestore();
+    const ref = db.collection('users').doc('1');
+    await ref.set({ count: 0 });
+
+    await Promise.all(Array.from({ length: 5 }, () => db.runTransaction(async (t) => {
+        const doc = await t.get(ref);
+        await new Promise(resolve => setImmediate(resolve));
+        t.set(ref, { count: doc.data().count + 1 }, { merge: true });
+    })));
+    assert.equal((await ref.get()).data().count, 5);
+
+    await assert.rejects(db.runTransaction(async (t) => {
+        t.set(ref, { count: 100 });
+        throw new Error('aborted');
+    }), /aborted/);
+    assert.equal((await ref.get()).data().count, 5);
+
+    // A failed transaction does not block the next one
+    const result = await db.runTransaction(async (t) => (await t.get(ref)).data().count);
+    assert.equal(result, 5);
+});
+
+test('batches and getAll', async () => {
+    const { db } = createMemoryFirestore();
+    const days = db.collection('daily_words');
+
+    const batch = db.batch();
+    batch.set(days.doc('1_en_2026-01-10'), { mastered: true });
+    batch.set(days.doc('1_en_2026-01-11'), { mastered: false });
+    assert.equal((await days.doc('1_en_2026-01-10').get()).exists, false);
+    await batch.commit();
+
+    const docs = await db.getAll(days.doc('1_en_2026-01-10'), days.doc('1_en_2026-01-12'));
+    assert.deepEqual(docs.map(doc => doc.exists), [true, false]);
+    assert.equal(docs[1].data(), undefined);
+});
+
+test('createStorage picks the backend by name', () => {
+    assert.equal(createStorage({ backend: 'memory' }).name, 'memory');
+    assert.throws(() => createStorage({ backend: 'sqlite' }), /Unknown STORAGE backend/);
+    assert.throws(() => createStorage({ backend: 'memory' }).db.collection('users/1'), /Not a collection path/);
+});
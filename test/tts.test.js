@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { createDiskAudioCache } = require('../lib/tts');
+const { createTestServices } = require('./helpers');
+
+const tempDir = async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tts-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// Distinct mtimes without waiting
+const age = (dir, key, seconds) => {
+    const time = new Date(Date.now() - seconds * 1000);
+    return fs.utimes(path.join(dir, `${key}.mp3`), time, time);
+};
+
+test('the disk cache drops the least recently used files past its entry limit', async (t) => {
+    const dir = await tempDir(t);
+    const cache = createDiskAudioCache({ dir, maxEntries: 2 });
+
+    await cache.put('a', Buffer.from('aaa'));
+    await age(dir, 'a', 30);
+    await cache.put('b', Buffer.from('bbb'));
+    await age(dir, 'b', 20);
+
+    // A hit counts as a use
+    assert.equal((await cache.get('a')).toString(), 'aaa');
+    await cache.put('c', Buffer.from('ccc'));
+
+    assert.equal(await cache.get('b'), null);
+    assert.equal((await cache.get('a')).toString(), 'aaa');
+    assert.equal((await cache.get('c')).toString(), 'ccc');
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['a.mp3', 'c.mp3']);
+});
+
+test('the disk cache stays under its size limit', async (t) => {
+    const dir = await tempDir(t);
+    const cache = createDiskAudioCache({ dir, maxBytes: 250 });
+
+    for (const [index, key] of ['a', 'b', 'c'].entries()) {
+        await cache.put(key, Buffer.alloc(100));
+        await age(dir, key, 30 - index * 10);
+    }
+
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['b.mp3', 'c.mp3']);
+});
+
+test('TTS_CACHE_BUCKET without Firebase falls back to the disk cache', () => {
+    const services = createTestServices({ TTS_PROVIDER: 'google', TTS_CACHE_BUCKET: 'audio', TTS_CACHE_DIR: os.tmpdir() });
+    assert.equal(services.speechSynthesizer.cache.name, 'disk');
+
+    assert.equal(createTestServices().speechSynthesizer.cache, null);
+});
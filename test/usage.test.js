@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TIERS, resolveLimits, createWindowLimiter, createUsageTracker } = require('../lib/usage');
+const { createMemoryFirestore } = require('../lib/storage');
+const { createRepositories } = require('../lib/repositories');
+const { silentLogger } = require('./helpers');
+
+// Tracker on a fresh store with a movable clock
+const createTracker = () => {
+    const clock = { time: new Date('2026-01-10T22:00:00Z') };
+    const { db, FieldValue } = createMemoryFirestore();
+    const { users } = createRepositories({ db, FieldValue, historyPath: (userId, code) => `dialogs/${userId}/messages_${code}` });
+    const tracker = createUsageTracker({ db, users, FieldValue, now: () => clock.time, logger: silentLogger });
+    return { clock, db, users, tracker };
+};
+
+test('limits come from the tier with per-user overrides', () => {
+    assert.deepEqual(resolveLimits(undefined), { tier: 'free', limits: TIERS.free });
+    assert.equal(resolveLimits({ tier: 'platinum' }).tier, 'free');
+    assert.deepEqual(resolveLimits({ tier: 'pro' }).limits, TIERS.pro);
+
+    const { limits } = resolveLimits({ tier: 'pro', limits: { dailyRequests: 5, dailyTokens: -1, requestsPerMinute: 'x' } });
+    assert.deepEqual(limits, { ...TIERS.pro, dailyRequests: 5 });
+});
+
+test('per-minute windows reset after a minute', () => {
+    let time = 0;
+    const limiter = createWindowLimiter({ now: () => time });
+
+    assert.equal(limiter.hit('user:1', 2), 0);
+    assert.equal(limiter.hit('user:1', 2), 0);
+    time = 15000;
+    assert.equal(limiter.hit('user:1', 2), 45);
+    assert.equal(limiter.hit('user:2', 2), 0);
+    assert.equal(limiter.hit('user:1', 0), 0, '0 means no limit');
+
+    time = 60000;
+    assert.equal(limiter.hit('user:1', 2), 0);
+});
+
+test('the daily request quota holds until UTC midnight', async () => {
+    const { clock, users, tracker } = createTracker();
+    await users.update(1, { limits: { dailyRequests: 3, requestsPerMinute: 0 } });
+
+    for (let i = 0; i < 3; i++) await tracker.admit(1);
+    await assert.rejects(tracker.admit(1), { status: 429, message: /Daily request quota/, retryAfter: 2 * 60 * 60 });
+
+    clock.time = new Date('2026-01-10T23:59:30Z');
+    await assert.rejects(tracker.admit(1), { status: 429, retryAfter: 30 });
+
+    clock.time = new Date('2026-01-11T00:00:01Z');
+    await tracker.admit(1);
+
+    const usage = await tracker.getUsage(1, { days: 2 });
+    assert.deepEqual(usage.days.map(d => [d.date, d.requests]), [['2026-01-11', 1], ['2026-01-10', 3]]);
+    assert.equal(usage.remaining.requests, 2);
+});
+
+test('LLM tokens count toward the daily token quota of the requesting user', async () => {
+    const { users, tracker } = createTracker();
+    await users.update(1, { limits: { dailyTokens: 1000 } });
+
+    // The middleware attributes LLM calls made while the request runs
+    const run = (userId, work) => new Promise((resolve, reject) => {
+        const res = {
+            set() {},
+            status(code) {
+                return { json: (body) => resolve({ status: code, body }) };
+            }
+        };
+        tracker.middleware({ auth: { userId }, ip: null }, res, () => work().then(() => resolve({ status: 200 }), reject));
+    });
+
+    const llmCall = (tokens) => () => tracker.recordLLMUsage({
+        task: 'chat',
+        usage: { prompt_tokens: tokens - 100, completion_tokens: 100, total_tokens: tokens }
+    });
+
+    assert.equal((await run(1, llmCall(600))).status, 200);
+    assert.equal((await run(1, llmCall(400))).status, 200);
+
+    const limited = await run(1, llmCall(1));
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /Daily token quota/);
+
+    const usage = await tracker.getUsage(1);
+    assert.equal(usage.today.totalTokens, 1000);
+    assert.equal(usage.today.llmCalls, 2);
+    assert.deepEqual(usage.today.tasks, { chat: 2 });
+    assert.equal(usage.remaining.tokens, 0);
+    assert.equal(usage.resetsIn, 2 * 60 * 60);
+
+    // Calls outside a limited request are not billed to anyone
+    await llmCall(500)();
+    assert.equal((await tracker.getUsage(1)).today.totalTokens, 1000);
+});
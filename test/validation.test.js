@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validate, createValidators } = require('../lib/validation');
+const { startTestApp } = require('./helpers');
+
+// Minimal res for calling middleware directly
+const createResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+test('validate normalizes values and applies defaults', () => {
+    const { value, errors } = validate({
+        name: { type: 'string', required: true, lowercase: true },
+        count: { type: 'integer', min: 1, default: 5 },
+        days: { type: 'integer' },
+        stream: { type: 'boolean' }
+    }, { name: '  Hello ', days: '7', stream: 'true', extra: 'kept' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { name: 'hello', count: 5, days: 7, stream: true, extra: 'kept' });
+});
+
+test('validate reports every invalid field', () => {
+    const { errors } = validate({
+        word: { type: 'string', required: true },
+        grade: { type: 'string', enum: ['good', 'again'], requiredWithout: ['isCorrect'] },
+        isCorrect: { type: 'boolean' },
+        level: { type: 'integer', max: 3 },
+        profile: { type: 'object', strict: true, fields: { goal: { type: 'string', max: 5 } } }
+    }, { level: 4.5, profile: { goal: 'far too long', tier: 'pro' } });
+
+    assert.deepEqual(errors, [
+        { field: 'word', message: 'is required' },
+        { field: 'grade', message: 'is required without isCorrect' },
+        { field: 'level', message: 'must be an integer' },
+        { field: 'profile.goal', message: 'must be at most 5 characters' },
+        { field: 'profile.tier', message: 'is not an allowed field' }
+    ]);
+});
+
+test('validator middleware answers 400 with the invalid fields', () => {
+    const { chat } = createValidators({ chat: { message: { type: 'string', required: true } } });
+    const res = createResponse();
+
+    chat({ body: { message: '' } }, res, () => assert.fail('next() must not be called'));
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'Invalid request', fields: [{ field: 'message', message: 'is required' }] });
+});
+
+test('validator middleware unwraps Callable-style data bodies', () => {
+    const { chat } = createValidators({ chat: { message: { type: 'string', required: true } } });
+    const req = { body: { data: { message: ' hi ' } } };
+    let nextCalled = false;
+
+    chat(req, createResponse(), () => { nextCalled = true; });
+
+    assert.ok(nextCalled);
+    assert.deepEqual(req.body, { message: 'hi' });
+});
+
+test('routes reject invalid bodies before the handler runs', async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.close());
+
+    const chat = await app.call('/chat', { mode: 'shouting' });
+    assert.equal(chat.status, 400);
+    assert.deepEqual(chat.body.fields.map(f => f.field).sort(), ['message', 'mode']);
+    assert.equal(app.services.llm.provider.calls.length, 0);
+
+    const profile = await app.call('/updateProfile', { profile: { tier: 'unlimited' } });
+    assert.equal(profile.status, 400);
+    assert.deepEqual(profile.body.fields, [{ field: 'profile.tier', message: 'is not an allowed field' }]);
+
+    const word = await app.call('/updateWordStatus', { word: 'run', grade: 'perfect' });
+    assert.equal(word.status, 400);
+    assert.equal(word.body.fields[0].field, 'grade');
+
+    // Only the multipart middleware produces upload Buffers
+    const image = await app.call('/analyzeImage', { files: [{ field: 'image', data: [255, 216, 255] }] });
+    assert.equal(image.status, 400);
+    assert.deepEqual(image.body.fields, [{ field: 'files', message: 'must be uploaded as multipart/form-data' }]);
+});